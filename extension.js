@@ -1,15 +1,32 @@
 import GLib from 'gi://GLib';
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
-import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import { setLogging, setLogFn, journal } from './utils.js';
-import { WorkspaceIndicator } from './lib/workspaceIndicator.js';
+import { WorkspaceIndicatorManager } from './lib/workspaceIndicatorManager.js';
+import { IndicatorFocusKeybinding } from './lib/indicatorFocusKeybinding.js';
 import { TitleBarMoveMonitor } from './lib/titleBarMoveMonitor.js';
+import { WindowOrderPersistence } from './lib/windowOrderPersistence.js';
+import { SearchFrecency } from './lib/searchFrecency.js';
+import { ActivePreviewTracker } from './lib/activePreviewTracker.js';
+import { WindowPlacementRules } from './lib/windowPlacementRules.js';
+import { WindowSwitcherKeybinding } from './lib/windowSwitcherKeybinding.js';
+import { WindowMoveKeybindings } from './lib/windowMoveKeybindings.js';
+import { WorkspacesOrganizerDBus } from './lib/workspacesOrganizerDBus.js';
+import { WorkspaceLayoutSnapshot } from './lib/workspaceLayoutSnapshot.js';
+import { WorkspaceNames } from './lib/workspaceNames.js';
+import { WorkspaceOperations } from './lib/workspaceOperations.js';
 
 export default class TopNotchWorkspaces extends Extension {
     constructor(metadata) {
         super(metadata);
-        this._indicator = null;
+        this._indicatorManager = null;
         this._titleBarMoveMonitor = null;
+        this._placementRules = null;
+        this._windowSwitcher = null;
+        this._indicatorFocus = null;
+        this._windowMoveKeybindings = null;
+        this._dbusService = null;
+        this._dbusServiceChangedId = null;
+        this._settings = null;
     }
 
     enable() {
@@ -29,21 +46,78 @@ export default class TopNotchWorkspaces extends Extension {
         journal(`Enabled`);
 
         const settings = this.getSettings(); // Reads settings-schema from metadata.json
+        WindowOrderPersistence.init(settings);
+        WorkspaceNames.init();
+        WorkspaceOperations.init(settings);
+        SearchFrecency.init(settings);
+        ActivePreviewTracker.init(settings);
 
-        this._indicator = new WorkspaceIndicator(settings);
-        Main.panel.addToStatusArea('workspace-indicator', this._indicator, 0, 'left');
+        this._indicatorManager = new WorkspaceIndicatorManager(settings);
 
         this._titleBarMoveMonitor = new TitleBarMoveMonitor();
+        this._placementRules = new WindowPlacementRules(settings);
+        this._windowSwitcher = new WindowSwitcherKeybinding(settings);
+        this._indicatorFocus = new IndicatorFocusKeybinding(this._indicatorManager, settings);
+        this._windowMoveKeybindings = new WindowMoveKeybindings(settings);
+        this._settings = settings;
+        this._dbusServiceChangedId = settings.connect('changed::dbus-service-enabled',
+            () => this._syncDBusService());
+        this._syncDBusService();
+    }
+
+    // The D-Bus interface lets any session client move windows around, so
+    // it is only exported while `dbus-service-enabled` is on.
+    _syncDBusService() {
+        const enabled = this._settings.get_boolean('dbus-service-enabled');
+        if (enabled && !this._dbusService) {
+            journal(`Exporting the D-Bus interface`);
+            this._dbusService = new WorkspacesOrganizerDBus(this._settings, this._windowSwitcher);
+        } else if (!enabled && this._dbusService) {
+            journal(`Unexporting the D-Bus interface`);
+            this._dbusService.destroy();
+            this._dbusService = null;
+        }
     }
 
     disable() {
+        if (this._dbusServiceChangedId) {
+            this._settings.disconnect(this._dbusServiceChangedId);
+            this._dbusServiceChangedId = null;
+        }
+        this._settings = null;
+        if (this._dbusService) {
+            this._dbusService.destroy();
+            this._dbusService = null;
+        }
+        if (this._windowMoveKeybindings) {
+            this._windowMoveKeybindings.destroy();
+            this._windowMoveKeybindings = null;
+        }
+        if (this._indicatorFocus) {
+            this._indicatorFocus.destroy();
+            this._indicatorFocus = null;
+        }
+        if (this._windowSwitcher) {
+            this._windowSwitcher.destroy();
+            this._windowSwitcher = null;
+        }
+        if (this._placementRules) {
+            this._placementRules.destroy();
+            this._placementRules = null;
+        }
         if (this._titleBarMoveMonitor) {
             this._titleBarMoveMonitor.destroy();
             this._titleBarMoveMonitor = null;
         }
-        if (this._indicator) {
-            this._indicator.destroy();
-            this._indicator = null;
+        if (this._indicatorManager) {
+            this._indicatorManager.destroy();
+            this._indicatorManager = null;
         }
+        WorkspaceLayoutSnapshot.destroy();
+        ActivePreviewTracker.destroy();
+        SearchFrecency.destroy();
+        WorkspaceOperations.destroy();
+        WorkspaceNames.destroy();
+        WindowOrderPersistence.destroy();
     }
 }
\ No newline at end of file
@@ -1,18 +1,58 @@
 import Clutter from 'gi://Clutter';
-import GLib from 'gi://GLib';
-import { TimeoutDelay } from './shellGlobals.js';
 import { journal } from '../utils.js';
 
+// `preview-swap-modifier` values.
+const SWAP_MODIFIER_MASKS = {
+    none: 0,
+    ctrl: Clutter.ModifierType.CONTROL_MASK,
+    alt: Clutter.ModifierType.MOD1_MASK,
+    shift: Clutter.ModifierType.SHIFT_MASK,
+    super: Clutter.ModifierType.SUPER_MASK | Clutter.ModifierType.MOD4_MASK,
+};
+
+// Key events carry the modifier state from before the key, so a
+// modifier key's own press or release is applied on top of it.
+const MODIFIER_KEY_MASKS = new Map([
+    [Clutter.KEY_Control_L, Clutter.ModifierType.CONTROL_MASK],
+    [Clutter.KEY_Control_R, Clutter.ModifierType.CONTROL_MASK],
+    [Clutter.KEY_Alt_L, Clutter.ModifierType.MOD1_MASK],
+    [Clutter.KEY_Alt_R, Clutter.ModifierType.MOD1_MASK],
+    [Clutter.KEY_Shift_L, Clutter.ModifierType.SHIFT_MASK],
+    [Clutter.KEY_Shift_R, Clutter.ModifierType.SHIFT_MASK],
+    [Clutter.KEY_Super_L, Clutter.ModifierType.SUPER_MASK | Clutter.ModifierType.MOD4_MASK],
+    [Clutter.KEY_Super_R, Clutter.ModifierType.SUPER_MASK | Clutter.ModifierType.MOD4_MASK],
+]);
+
 // ==================== ACTIVE PREVIEW TRACKER ====================
 // Centralized manager for "which WindowIconButton currently has its hover
-// preview or title popup open" plus the shared CTRL-key poll that decides
-// which of the two to show. Only one preview can be active at a time, and
-// polling only runs while one is active — no dangling timers when idle.
-// Singleton.
+// preview or title popup open" plus the shared modifier tracking that
+// decides which of the two to show: holding `preview-swap-modifier`
+// (Ctrl by default) swaps the preview for the title popup. Only one
+// preview can be active at a time. The modifier is followed through
+// stage events (key presses and releases, and the state every pointer
+// event carries) and the seat keymap's `state-changed`, which also
+// covers keys that went to a window; all of it is only connected while
+// a preview is active — nothing runs when idle. Singleton, initialized
+// with the settings on enable.
 export const ActivePreviewTracker = {
     activePreview: null,
-    _ctrlPollId: null,
-    _ctrlPressed: false,
+    _settings: null,
+    _settingsChangedId: null,
+    _swapMask: SWAP_MODIFIER_MASKS.ctrl,
+    _modifierHeld: false,
+    _stageEventId: null,
+    _keymap: null,
+    _keymapStateChangedId: null,
+
+    init(settings) {
+        this._settings = settings;
+        this._readSwapModifier();
+        this._settingsChangedId = settings.connect('changed::preview-swap-modifier', () => {
+            this._readSwapModifier();
+            if (this.activePreview)
+                this._setModifierHeld(this._queryModifierHeld());
+        });
+    },
 
     registerPreview(preview) {
         journal(`[ActivePreviewTracker] Registering preview for window: ${preview.window.title}`);
@@ -21,73 +61,103 @@ export const ActivePreviewTracker = {
             this.activePreview.forceHidePreview('new preview registered');
         }
         this.activePreview = preview;
-        this._startCtrlPoll();
+        this._startTracking();
     },
 
     unregisterPreview(preview) {
         if (this.activePreview === preview) {
             journal(`[ActivePreviewTracker] Unregistering preview for window: ${preview.window.title}`);
             this.activePreview = null;
-            this._stopCtrlPoll();
+            this._stopTracking();
         }
     },
 
-    _checkCtrlKeyState() {
+    isSwapModifierHeld() {
+        return this._modifierHeld;
+    },
+
+    _readSwapModifier() {
+        const name = this._settings.get_string('preview-swap-modifier');
+        this._swapMask = SWAP_MODIFIER_MASKS[name] ?? SWAP_MODIFIER_MASKS.ctrl;
+        journal(`[ActivePreviewTracker] Swap modifier: ${name}`);
+    },
+
+    _isHeldIn(state) {
+        return (state & this._swapMask) !== 0;
+    },
+
+    _queryModifierHeld() {
         const [, , mods] = global.get_pointer();
-        this._ctrlPressed = (mods & Clutter.ModifierType.CONTROL_MASK) !== 0;
+        return this._isHeldIn(mods);
     },
 
-    _startCtrlPoll() {
-        if (this._ctrlPollId) {
-            journal(`[ActivePreviewTracker] Ctrl poll already running`);
-            return;
-        }
-        if (!this.activePreview) {
-            journal(`[ActivePreviewTracker] No active preview, skipping Ctrl poll`);
+    _startTracking() {
+        if (this._stageEventId)
             return;
-        }
-        this._checkCtrlKeyState();
-        journal(`[ActivePreviewTracker] Starting Ctrl poll, initial state: ${this._ctrlPressed}`);
-        this._ctrlPollId = GLib.timeout_add(
-            GLib.PRIORITY_DEFAULT,
-            TimeoutDelay,
-            () => this._onCtrlPollTick()
-        );
+        this._modifierHeld = this._queryModifierHeld();
+        journal(`[ActivePreviewTracker] Tracking modifier, initial state: ${this._modifierHeld}`);
+        this._stageEventId = global.stage.connect('captured-event',
+            (stage, event) => this._onStageEvent(event));
+        this._keymap = Clutter.get_default_backend().get_default_seat().get_keymap();
+        this._keymapStateChangedId = this._keymap.connect('state-changed',
+            () => this._setModifierHeld(this._queryModifierHeld()));
     },
 
-    _stopCtrlPoll() {
-        if (this._ctrlPollId) {
-            const sourceId = this._ctrlPollId;
-            this._ctrlPollId = null;
-            if (GLib.Source.remove(sourceId))
-                journal(`[ActivePreviewTracker] Stopped Ctrl poll`);
+    _stopTracking() {
+        if (this._stageEventId) {
+            global.stage.disconnect(this._stageEventId);
+            this._stageEventId = null;
+        }
+        if (this._keymapStateChangedId) {
+            this._keymap.disconnect(this._keymapStateChangedId);
+            this._keymapStateChangedId = null;
+            this._keymap = null;
         }
+        journal(`[ActivePreviewTracker] Stopped tracking modifier`);
     },
 
-    _onCtrlPollTick() {
-        if (!this.activePreview) {
-            journal(`[ActivePreviewTracker] No active preview, stopping Ctrl poll`);
-            this._stopCtrlPoll();
-            return GLib.SOURCE_REMOVE;
+    _onStageEvent(event) {
+        switch (event.type()) {
+            case Clutter.EventType.KEY_PRESS:
+            case Clutter.EventType.KEY_RELEASE: {
+                let state = event.get_state();
+                const keyMask = MODIFIER_KEY_MASKS.get(event.get_key_symbol()) ?? 0;
+                if (event.type() === Clutter.EventType.KEY_PRESS)
+                    state |= keyMask;
+                else
+                    state &= ~keyMask;
+                this._setModifierHeld(this._isHeldIn(state));
+                break;
+            }
+            case Clutter.EventType.MOTION:
+            case Clutter.EventType.ENTER:
+            case Clutter.EventType.LEAVE:
+            case Clutter.EventType.BUTTON_PRESS:
+            case Clutter.EventType.BUTTON_RELEASE:
+            case Clutter.EventType.SCROLL:
+                this._setModifierHeld(this._isHeldIn(event.get_state()));
+                break;
         }
-        const [, , mods] = global.get_pointer();
-        const ctrlDown = (mods & Clutter.ModifierType.CONTROL_MASK) !== 0;
-        if (ctrlDown !== this._ctrlPressed) {
-            this._ctrlPressed = ctrlDown;
-            journal(`[ActivePreviewTracker] Ctrl state changed: ${this._ctrlPressed}`);
-            if (this.activePreview)
-                this.activePreview.onCtrlChanged(ctrlDown);
-        }
-        return GLib.SOURCE_CONTINUE;
+        return Clutter.EVENT_PROPAGATE;
     },
 
-    getCurrentCtrlState() {
-        return this._ctrlPressed;
+    _setModifierHeld(held) {
+        if (held === this._modifierHeld)
+            return;
+        this._modifierHeld = held;
+        journal(`[ActivePreviewTracker] Swap modifier changed: ${held}`);
+        this.activePreview?.onSwapModifierChanged(held);
     },
 
     destroy() {
         journal(`[ActivePreviewTracker] Destroying`);
-        this._stopCtrlPoll();
+        this._stopTracking();
+        if (this._settingsChangedId) {
+            this._settings.disconnect(this._settingsChangedId);
+            this._settingsChangedId = null;
+        }
+        this._settings = null;
         this.activePreview = null;
+        this._modifierHeld = false;
     },
-};
\ No newline at end of file
+};
@@ -0,0 +1,86 @@
+import Clutter from 'gi://Clutter';
+import { WorkspaceManager } from './shellGlobals.js';
+import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
+import { WindowSearchOverlay } from './windowSearchOverlay.js';
+import { getClickAction } from './clickActions.js';
+import { journal } from '../utils.js';
+
+const BUTTON_NAMES = new Map([
+    [Clutter.BUTTON_PRIMARY, 'primary'],
+    [Clutter.BUTTON_MIDDLE, 'middle'],
+    [Clutter.BUTTON_SECONDARY, 'secondary'],
+]);
+
+// Same order as CLICK_MODIFIERS.
+const MODIFIER_MASKS = [
+    ['shift', Clutter.ModifierType.SHIFT_MASK],
+    ['ctrl', Clutter.ModifierType.CONTROL_MASK],
+    ['alt', Clutter.ModifierType.MOD1_MASK],
+];
+
+function moveToActiveWorkspace(window) {
+    const workspace = WorkspaceManager.get_active_workspace();
+    if (window.is_on_all_workspaces() || window.get_workspace() === workspace)
+        return;
+    const thumbnail = WorkspaceThumbnailRegistry.getForWorkspace(workspace)
+        .find(t => t.monitorIndex === null || t.monitorIndex === window.get_monitor());
+    if (thumbnail)
+        thumbnail.moveWindowHere(window, null, { keepMonitor: true });
+    else
+        window.change_workspace(workspace);
+}
+
+// ==================== CLICK ACTION RUNNER ====================
+// Runs the action `click-actions` maps a button press to (see
+// clickActions.js). WindowIconButton and WorkspaceThumbnail describe
+// themselves as a `target`: the `windows` the window actions apply to,
+// the windows the overlay lists (`overlayWindows`), and `activate`,
+// `openMenu` and `showPreview` callbacks for what differs between them.
+// Returns false when the press is not bound to anything.
+export function runClickAction(settings, event, target) {
+    const button = BUTTON_NAMES.get(event.get_button());
+    if (!button)
+        return false;
+    const state = event.get_state();
+    const modifier = MODIFIER_MASKS.find(([, mask]) => state & mask)?.[0] ?? '';
+    const action = getClickAction(settings, button, modifier);
+    if (action === 'none')
+        return false;
+
+    journal(`[ClickActionRunner] ${modifier ? `${modifier}+` : ''}${button} runs ${action}`);
+    const windows = target.windows;
+    const time = global.get_current_time();
+    switch (action) {
+        case 'activate':
+            target.activate();
+            break;
+        case 'menu':
+            target.openMenu();
+            break;
+        case 'minimize':
+            windows.forEach(window => window.minimize());
+            break;
+        case 'close':
+            windows.forEach(window => window.delete(time));
+            break;
+        case 'move-here':
+            windows.forEach(moveToActiveWorkspace);
+            break;
+        case 'overlay':
+            new WindowSearchOverlay(target.overlayWindows, settings);
+            break;
+        case 'preview':
+            target.showPreview();
+            break;
+        case 'always-on-top':
+            // Mixed groups all go on top first.
+            if (windows.every(window => window.is_above()))
+                windows.forEach(window => window.unmake_above());
+            else
+                windows.forEach(window => window.make_above());
+            break;
+        default:
+            return false;
+    }
+    return true;
+}
\ No newline at end of file
@@ -0,0 +1,60 @@
+import GLib from 'gi://GLib';
+
+const SETTINGS_KEY = 'click-actions';
+
+export const CLICK_BUTTONS = [
+    ['primary', 'Left click'],
+    ['middle', 'Middle click'],
+    ['secondary', 'Right click'],
+];
+
+// Checked in this order when several are held.
+export const CLICK_MODIFIERS = [
+    ['', 'No modifier'],
+    ['shift', 'Shift'],
+    ['ctrl', 'Ctrl'],
+    ['alt', 'Alt'],
+];
+
+// On a window icon an action applies to its window (every window of a
+// group); on a workspace thumbnail, to every window listed in it.
+export const CLICK_ACTIONS = [
+    ['none', 'Nothing'],
+    ['activate', 'Activate (the window, or the workspace)'],
+    ['menu', 'Open the menu'],
+    ['minimize', 'Minimize'],
+    ['close', 'Close'],
+    ['move-here', 'Move to the current workspace'],
+    ['overlay', 'Open the window overlay'],
+    ['preview', 'Show the preview'],
+    ['always-on-top', 'Toggle always on top'],
+];
+
+// ==================== CLICK ACTIONS ====================
+// Which action a click with a given button and modifier runs on window
+// icons and workspace thumbnails, stored in GSettings as a map from a
+// binding ("primary", "shift+middle", ...) to an action from
+// CLICK_ACTIONS; bindings not in the map do nothing. Shared by the shell
+// (see clickActionRunner.js) and prefs, so this module must not import
+// anything shell-only.
+
+export function clickBinding(button, modifier) {
+    return modifier ? `${modifier}+${button}` : button;
+}
+
+export function readClickActions(settings) {
+    return settings.get_value(SETTINGS_KEY).deep_unpack();
+}
+
+export function getClickAction(settings, button, modifier) {
+    return readClickActions(settings)[clickBinding(button, modifier)] ?? 'none';
+}
+
+export function setClickAction(settings, button, modifier, action) {
+    const all = readClickActions(settings);
+    if (action === 'none')
+        delete all[clickBinding(button, modifier)];
+    else
+        all[clickBinding(button, modifier)] = action;
+    settings.set_value(SETTINGS_KEY, new GLib.Variant('a{ss}', all));
+}
\ No newline at end of file
@@ -1,12 +1,21 @@
 // A dragged source can be either one of our own WindowIconButtons (has
-// `_window`) or a WindowSearchOverlay result row (has `realWindow`, a
+// `window`) or a WindowSearchOverlay result row (has `realWindow`, a
 // Meta.WindowActor). This normalizes both to the underlying Meta.Window.
 export function getDraggedWindow(source) {
     if (!source)
         return null;
-    if (source._window)
-        return source._window;
+    if (source.window)
+        return source.window;
     if (source.realWindow && typeof source.realWindow.get_meta_window === 'function')
         return source.realWindow.get_meta_window();
     return null;
+}
+
+// Every window a drop should move: all members of a WindowGroupButton
+// stack, otherwise just the single dragged window.
+export function getDraggedWindows(source) {
+    if (source?.windows)
+        return source.windows.slice();
+    const window = getDraggedWindow(source);
+    return window ? [window] : [];
 }
\ No newline at end of file
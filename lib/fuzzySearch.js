@@ -1,43 +1,128 @@
 // ==================== FUZZY MATCHING ====================
-// Used by WindowSearchOverlay's search box.
+// Used by WindowSearchOverlay's search box. Matches report `ranges`:
+// sorted, non-overlapping [start, end) character ranges of the text that
+// the query hit, for highlighting.
 
-function subsequenceMatch(query, text) {
+// Bonuses for a match starting where a word does, so "term" prefers
+// "Terminal" over "Determine" and "fs" prefers "fuzzySearch.js".
+const START_BONUS = 10;
+const PATH_SEPARATOR_BONUS = 9;
+const WORD_BOUNDARY_BONUS = 8;
+const CAMEL_CASE_BONUS = 7;
+
+// A substring hit scores SUBSTRING_SCORE less a small penalty for how
+// far into the text it starts, small enough that a word-start bonus
+// outweighs starting a few words later.
+const SUBSTRING_SCORE = 50;
+const POSITION_PENALTY = 0.25;
+const MAX_POSITION_PENALTY = 10;
+
+// Each skipped character between two subsequence hits costs this much,
+// up to MAX_GAP_PENALTY per gap.
+const GAP_PENALTY = 1;
+const MAX_GAP_PENALTY = 5;
+
+const WORD_SEPARATORS = /[\s\-_.:,;()[\]{}'"|]/;
+
+// `text` is the original-case text; camelCase needs the case.
+function boundaryBonus(text, index) {
+    if (index === 0)
+        return START_BONUS;
+    const previous = text[index - 1];
+    if (previous === '/' || previous === '\\')
+        return PATH_SEPARATOR_BONUS;
+    if (WORD_SEPARATORS.test(previous))
+        return WORD_BOUNDARY_BONUS;
+    const current = text[index];
+    if (/[\p{Ll}\d]/u.test(previous) && /\p{Lu}/u.test(current))
+        return CAMEL_CASE_BONUS;
+    return 0;
+}
+
+function subsequenceMatch(query, lowerText, text) {
     let qi = 0, score = 0, consecutive = 0;
-    for (let ti = 0; ti < text.length && qi < query.length; ti++) {
-        if (text[ti] === query[qi]) {
-            score += 1 + consecutive;
+    const positions = [];
+    for (let ti = 0; ti < lowerText.length && qi < query.length; ti++) {
+        if (lowerText[ti] === query[qi]) {
+            score += 1 + consecutive + boundaryBonus(text, ti);
+            if (positions.length > 0)
+                score -= Math.min(ti - positions[positions.length - 1] - 1, MAX_GAP_PENALTY) * GAP_PENALTY;
             consecutive++;
+            positions.push(ti);
             qi++;
         } else {
             consecutive = 0;
         }
     }
     if (qi < query.length)
-        return { matched: false, score: -1 };
-    return { matched: true, score };
+        return { matched: false, score: -1, ranges: [] };
+    return { matched: true, score, ranges: positions.map(p => [p, p + 1]) };
+}
+
+// The best-scoring occurrence of `token` in the text, or null. A later
+// occurrence can win by starting a word ("term" in "determine Terminal").
+function bestSubstringMatch(token, lowerText, text) {
+    let best = null;
+    for (let idx = lowerText.indexOf(token); idx !== -1; idx = lowerText.indexOf(token, idx + 1)) {
+        const score = SUBSTRING_SCORE - Math.min(idx * POSITION_PENALTY, MAX_POSITION_PENALTY) +
+            boundaryBonus(text, idx);
+        if (!best || score > best.score)
+            best = { index: idx, score };
+    }
+    return best;
+}
+
+// Sorts ranges and merges the ones that touch or overlap.
+function mergeRanges(ranges) {
+    const merged = [];
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1])
+            last[1] = Math.max(last[1], end);
+        else
+            merged.push([start, end]);
+    }
+    return merged;
 }
 
 // Token-based fuzzy match: query is split on whitespace, each token must
 // appear (substring, falling back to fuzzy subsequence) somewhere in the
 // text. This is what lets "ext js" match "extension.js — VS Code" even
 // though there's no literal space in that position in the text.
+// Matching runs on the lowercased text; when lowercasing changes its
+// length (e.g. "İ"), indices no longer line up with `text`, so the match
+// reports no ranges and scores boundaries on the lowercased text.
 export function fuzzyMatch(query, text) {
     const trimmed = query.trim();
     if (!trimmed)
-        return { matched: true, score: 0 };
+        return { matched: true, score: 0, ranges: [] };
     const lowerText = text.toLowerCase();
+    const aligned = lowerText.length === text.length;
+    if (!aligned)
+        text = lowerText;
     const tokens = trimmed.toLowerCase().split(/\s+/).filter(t => t.length > 0);
     let score = 0;
+    const ranges = [];
     for (const token of tokens) {
-        const idx = lowerText.indexOf(token);
-        if (idx !== -1) {
-            score += 50 - Math.min(idx, 40);
+        const substring = bestSubstringMatch(token, lowerText, text);
+        if (substring) {
+            score += substring.score;
+            ranges.push([substring.index, substring.index + token.length]);
             continue;
         }
-        const sub = subsequenceMatch(token, lowerText);
+        const sub = subsequenceMatch(token, lowerText, text);
         if (!sub.matched)
-            return { matched: false, score: -1 };
+            return { matched: false, score: -1, ranges: [] };
         score += sub.score;
+        ranges.push(...sub.ranges);
     }
-    return { matched: true, score };
+    return { matched: true, score, ranges: aligned ? mergeRanges(ranges) : [] };
+}
+
+// The part of `ranges` that falls inside [offset, offset + length),
+// shifted to start at 0 — for highlighting one field of a joined label.
+export function sliceRanges(ranges, offset, length) {
+    return ranges
+        .map(([start, end]) => [Math.max(start, offset) - offset, Math.min(end, offset + length) - offset])
+        .filter(([start, end]) => start < end);
 }
\ No newline at end of file
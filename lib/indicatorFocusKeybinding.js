@@ -0,0 +1,37 @@
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { Display } from './shellGlobals.js';
+import { journal } from '../utils.js';
+
+const KEYBINDING = 'indicator-focus-keybinding';
+
+// ==================== INDICATOR FOCUS KEYBINDING ====================
+// Global shortcut (`indicator-focus-keybinding`) that starts keyboard
+// navigation of the workspace indicator — with one indicator per
+// monitor, the one on the monitor under the pointer.
+export class IndicatorFocusKeybinding {
+    constructor(indicatorManager, settings) {
+        this._indicatorManager = indicatorManager;
+
+        Main.wm.addKeybinding(KEYBINDING, settings, Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => this._focusIndicator());
+    }
+
+    _focusIndicator() {
+        const indicators = this._indicatorManager.indicators;
+        const monitorIndex = Display.get_current_monitor();
+        const indicator = indicators.find(i => i.monitorIndex === monitorIndex) ?? indicators[0];
+        if (!indicator)
+            return;
+        if (Main.overview.visible)
+            Main.overview.hide();
+        journal(`[IndicatorFocusKeybinding] Focusing the indicator on monitor ${indicator.monitorIndex ?? 'all'}`);
+        indicator.focusKeyboard();
+    }
+
+    destroy() {
+        Main.wm.removeKeybinding(KEYBINDING);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,265 @@
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { WorkspaceManager } from './shellGlobals.js';
+import { journal } from '../utils.js';
+
+const FOCUS_STYLE_CLASS = 'keyboard-focus';
+
+// After moving an icon to another workspace its new icon appears once
+// that thumbnail's WindowOrderStore picks the window up.
+const REFOCUS_DELAY_MS = 50;
+const REFOCUS_ATTEMPTS = 10;
+
+// ==================== INDICATOR KEYBOARD NAVIGATOR ====================
+// Keyboard control of one WorkspaceIndicator, started by the
+// `indicator-focus-keybinding` shortcut. Thumbnails and the icons inside
+// them form one sequence: the arrow keys along the indicator step through
+// it, the arrows across it jump between workspaces. Enter activates,
+// Menu (or Shift+F10) opens the thumbnail's or icon's menu, Shift with
+// an arrow along the indicator moves the focused icon within its
+// workspace's order and on into the neighboring workspace. Escape, a
+// click or activating something ends it. Holds a modal grab while
+// active; the focused actor gets the `keyboard-focus` style class.
+export class IndicatorKeyboardNavigator {
+    constructor(indicator) {
+        this._indicator = indicator;
+        this._grab = null;
+        this._focused = null;
+        this._focusedDestroyId = null;
+        this._capturedEventId = null;
+        this._stageEventId = null;
+        this._refocusTimeoutId = null;
+    }
+
+    get active() {
+        return this._grab !== null;
+    }
+
+    start() {
+        if (this.active)
+            return;
+        this._grab = Main.pushModal(this._indicator, { actionMode: Shell.ActionMode.POPUP });
+        // Another grab (a menu) is on top whenever modalCount is higher.
+        this._modalCount = Main.modalCount;
+        this._capturedEventId = this._indicator.connect('captured-event',
+            (actor, event) => this._onCapturedEvent(event));
+        this._stageEventId = global.stage.connect('captured-event', (stage, event) => {
+            if (event.type() === Clutter.EventType.BUTTON_PRESS && Main.modalCount === this._modalCount)
+                this.stop();
+            return Clutter.EVENT_PROPAGATE;
+        });
+
+        const active = WorkspaceManager.get_active_workspace();
+        const thumbnails = this._indicator.thumbnails;
+        this._focus(thumbnails.find(t => t.workspace === active) ?? thumbnails[0] ?? null);
+        journal(`[IndicatorKeyboardNavigator] Started`);
+    }
+
+    stop() {
+        if (!this.active)
+            return;
+        this._cancelRefocus();
+        this._setFocused(null);
+        this._indicator.disconnect(this._capturedEventId);
+        global.stage.disconnect(this._stageEventId);
+        this._capturedEventId = null;
+        this._stageEventId = null;
+        Main.popModal(this._grab);
+        this._grab = null;
+        journal(`[IndicatorKeyboardNavigator] Stopped`);
+    }
+
+    // Thumbnails, each followed by its icons.
+    _items() {
+        const items = [];
+        for (const thumbnail of this._indicator.thumbnails) {
+            items.push({ actor: thumbnail, thumbnail });
+            for (const icon of thumbnail.focusableIcons)
+                items.push({ actor: icon, thumbnail });
+        }
+        return items;
+    }
+
+    // The focused icon or thumbnail can go away while navigating (its
+    // window closed, its workspace removed); _currentItem() then falls
+    // back to the active workspace.
+    _setFocused(actor) {
+        if (this._focused === actor)
+            return;
+        if (this._focused) {
+            this._focused.disconnect(this._focusedDestroyId);
+            this._focused.remove_style_class_name(FOCUS_STYLE_CLASS);
+        }
+        this._focused = actor;
+        this._focusedDestroyId = null;
+        if (actor) {
+            actor.add_style_class_name(FOCUS_STYLE_CLASS);
+            this._focusedDestroyId = actor.connect('destroy', () => {
+                this._focused = null;
+                this._focusedDestroyId = null;
+            });
+        }
+    }
+
+    _focus(actor) {
+        this._setFocused(actor);
+        if (!actor)
+            return;
+        actor.grab_key_focus();
+        const item = this._items().find(i => i.actor === actor);
+        if (item && item.actor !== item.thumbnail)
+            item.thumbnail.scrollToIcon(actor);
+    }
+
+    // The focused item, or the active workspace's thumbnail when the
+    // focused icon has gone away.
+    _currentItem(items) {
+        const item = items.find(i => i.actor === this._focused);
+        if (item)
+            return item;
+        const active = WorkspaceManager.get_active_workspace();
+        return items.find(i => i.actor === i.thumbnail && i.thumbnail.workspace === active) ??
+            items[0] ?? null;
+    }
+
+    _onCapturedEvent(event) {
+        if (event.type() !== Clutter.EventType.KEY_PRESS || Main.modalCount !== this._modalCount)
+            return Clutter.EVENT_PROPAGATE;
+
+        const symbol = event.get_key_symbol();
+        const shift = (event.get_state() & Clutter.ModifierType.SHIFT_MASK) !== 0;
+        const vertical = this._indicator.vertical;
+        const previousKey = vertical ? Clutter.KEY_Up : Clutter.KEY_Left;
+        const nextKey = vertical ? Clutter.KEY_Down : Clutter.KEY_Right;
+        const previousWorkspaceKey = vertical ? Clutter.KEY_Left : Clutter.KEY_Up;
+        const nextWorkspaceKey = vertical ? Clutter.KEY_Right : Clutter.KEY_Down;
+
+        switch (symbol) {
+            case Clutter.KEY_Escape:
+                this.stop();
+                break;
+            case previousKey:
+            case nextKey:
+                if (shift)
+                    this._moveFocusedIcon(symbol === nextKey ? 1 : -1);
+                else
+                    this._step(symbol === nextKey ? 1 : -1);
+                break;
+            case previousWorkspaceKey:
+            case nextWorkspaceKey:
+                this._jumpWorkspace(symbol === nextWorkspaceKey ? 1 : -1);
+                break;
+            case Clutter.KEY_Return:
+            case Clutter.KEY_KP_Enter:
+            case Clutter.KEY_ISO_Enter:
+            case Clutter.KEY_space:
+                this._activate();
+                break;
+            case Clutter.KEY_Menu:
+                this._focused?.openMenu?.();
+                break;
+            case Clutter.KEY_F10:
+                if (shift)
+                    this._focused?.openMenu?.();
+                break;
+        }
+        // Nothing else reaches the panel while navigating.
+        return Clutter.EVENT_STOP;
+    }
+
+    _step(direction) {
+        const items = this._items();
+        const current = this._currentItem(items);
+        if (!current)
+            return;
+        const next = items[items.indexOf(current) + direction];
+        if (next)
+            this._focus(next.actor);
+    }
+
+    _jumpWorkspace(direction) {
+        const items = this._items();
+        const current = this._currentItem(items);
+        if (!current)
+            return;
+        const thumbnails = this._indicator.thumbnails;
+        const target = thumbnails[thumbnails.indexOf(current.thumbnail) + direction];
+        if (target)
+            this._focus(target);
+    }
+
+    _activate() {
+        const actor = this._focused;
+        if (!actor)
+            return;
+        // Activating hands focus back to a window (or to the search
+        // overlay), so the grab has to go first.
+        this.stop();
+        if (actor.activateWorkspace)
+            actor.activateWorkspace();
+        else if (actor.activateWindow)
+            actor.activateWindow();
+        else
+            actor.emit('clicked', Clutter.BUTTON_PRIMARY);
+    }
+
+    // Shift+arrow: one slot along the order; past either end, into the
+    // neighboring workspace (at its start when moving forward, at its
+    // end when moving back).
+    _moveFocusedIcon(direction) {
+        // Group buttons stand for several windows; only single icons move.
+        const window = this._focused?.windows?.length === 1 ? this._focused.window : null;
+        const item = this._items().find(i => i.actor === this._focused);
+        if (!window || !item || item.actor === item.thumbnail)
+            return;
+
+        const order = item.thumbnail.orderStore.order;
+        const index = order.indexOf(window);
+        if (index === -1)
+            return;
+
+        const newIndex = index + direction;
+        if (newIndex >= 0 && newIndex < order.length) {
+            item.thumbnail.orderStore.reorderWindowToIndex(window, newIndex);
+            this._focus(item.actor);
+            return;
+        }
+
+        const thumbnails = this._indicator.thumbnails;
+        const target = thumbnails[thumbnails.indexOf(item.thumbnail) + direction];
+        if (!target)
+            return;
+        journal(`[IndicatorKeyboardNavigator] Moving ${window.title} to workspace ${target.workspaceIndex}`);
+        target.moveWindowHere(window, direction > 0 ? 0 : Number.MAX_SAFE_INTEGER);
+        this._focus(target);
+        this._refocusWindow(target, window);
+    }
+
+    _refocusWindow(thumbnail, window) {
+        this._cancelRefocus();
+        let attempts = 0;
+        this._refocusTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, REFOCUS_DELAY_MS, () => {
+            const icon = thumbnail.focusableIcons.find(i => i.window === window);
+            if (icon && this._focused === thumbnail)
+                this._focus(icon);
+            if (icon || ++attempts >= REFOCUS_ATTEMPTS || this._focused !== thumbnail) {
+                this._refocusTimeoutId = null;
+                return GLib.SOURCE_REMOVE;
+            }
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+
+    _cancelRefocus() {
+        if (this._refocusTimeoutId) {
+            GLib.Source.remove(this._refocusTimeoutId);
+            this._refocusTimeoutId = null;
+        }
+    }
+
+    destroy() {
+        this.stop();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,161 @@
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import { Display, WorkspaceManager } from './shellGlobals.js';
+import { journal } from '../utils.js';
+
+// Accumulated smooth-scroll distance (in scroll units, one wheel notch
+// each) that counts as one step.
+const SMOOTH_SCROLL_STEP = 1;
+
+// After a step, smooth scrolling stays locked until the gesture ends or
+// no scroll event arrived for this long, so a touchpad flick that keeps
+// coasting only moves one step.
+const SMOOTH_SCROLL_LOCK_MS = 250;
+
+// ==================== INDICATOR SCROLL CONTROLLER ====================
+// Scrolling over a WorkspaceIndicator switches workspaces; scrolling over
+// one of its window icons instead cycles focus through that workspace's
+// windows in icon order. `scroll-switch-wraparound` wraps past the first
+// and last workspace, `scroll-switch-invert` flips the direction and
+// `scroll-switch-smooth-accumulate` turns touchpad scrolling into one
+// step per gesture instead of one per event.
+export class IndicatorScrollController {
+    constructor(actor, settings) {
+        this._actor = actor;
+        this._settings = settings;
+        this._accumulated = 0;
+        this._locked = false;
+        this._unlockTimeoutId = null;
+
+        this._scrollEventId = actor.connect('scroll-event',
+            (a, event) => this._onScrollEvent(event));
+    }
+
+    _onScrollEvent(event) {
+        const direction = this._readDirection(event);
+        if (direction === 0)
+            return Clutter.EVENT_STOP;
+        const step = this._settings.get_boolean('scroll-switch-invert') ? -direction : direction;
+
+        const thumbnail = this._findIconThumbnail(event.get_source());
+        if (thumbnail)
+            this._cycleWindows(thumbnail, step, event.get_time());
+        else
+            this._switchWorkspace(step, event.get_time());
+        return Clutter.EVENT_STOP;
+    }
+
+    // -1, 1, or 0 for a smooth-scroll event that doesn't make a step yet.
+    _readDirection(event) {
+        switch (event.get_scroll_direction()) {
+            case Clutter.ScrollDirection.UP:
+            case Clutter.ScrollDirection.LEFT:
+                return -1;
+            case Clutter.ScrollDirection.DOWN:
+            case Clutter.ScrollDirection.RIGHT:
+                return 1;
+            case Clutter.ScrollDirection.SMOOTH:
+                return this._readSmoothDirection(event);
+            default:
+                return 0;
+        }
+    }
+
+    _readSmoothDirection(event) {
+        const [dx, dy] = event.get_scroll_delta();
+        const delta = Math.abs(dx) > Math.abs(dy) ? dx : dy;
+        if (!this._settings.get_boolean('scroll-switch-smooth-accumulate'))
+            return Math.sign(delta);
+
+        const finished = event.get_scroll_finish_flags() !== Clutter.ScrollFinishFlags.NONE;
+        if (this._locked) {
+            if (finished)
+                this._unlock();
+            else
+                this._scheduleUnlock();
+            return 0;
+        }
+
+        this._accumulated += delta;
+        if (Math.abs(this._accumulated) < SMOOTH_SCROLL_STEP) {
+            if (finished)
+                this._accumulated = 0;
+            return 0;
+        }
+        const direction = Math.sign(this._accumulated);
+        this._accumulated = 0;
+        if (!finished) {
+            this._locked = true;
+            this._scheduleUnlock();
+        }
+        return direction;
+    }
+
+    _scheduleUnlock() {
+        if (this._unlockTimeoutId)
+            GLib.Source.remove(this._unlockTimeoutId);
+        this._unlockTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SMOOTH_SCROLL_LOCK_MS, () => {
+            this._unlockTimeoutId = null;
+            this._unlock();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _unlock() {
+        if (this._unlockTimeoutId) {
+            GLib.Source.remove(this._unlockTimeoutId);
+            this._unlockTimeoutId = null;
+        }
+        this._locked = false;
+        this._accumulated = 0;
+    }
+
+    // The thumbnail owning the window icon under the pointer, or null when
+    // the scroll didn't happen over an icon.
+    _findIconThumbnail(source) {
+        let actor = source;
+        while (actor && actor !== this._actor && !actor.activateWindow)
+            actor = actor.get_parent();
+        if (!actor?.activateWindow)
+            return null;
+        while (actor && actor !== this._actor && !actor.orderStore)
+            actor = actor.get_parent();
+        return actor?.orderStore ? actor : null;
+    }
+
+    _switchWorkspace(step, time) {
+        const count = WorkspaceManager.n_workspaces;
+        let index = WorkspaceManager.get_active_workspace_index() + step;
+        if (this._settings.get_boolean('scroll-switch-wraparound'))
+            index = (index + count) % count;
+        else
+            index = Math.max(0, Math.min(index, count - 1));
+        if (index === WorkspaceManager.get_active_workspace_index())
+            return;
+        journal(`[IndicatorScrollController] Switching to workspace ${index}`);
+        WorkspaceManager.get_workspace_by_index(index).activate(time);
+    }
+
+    _cycleWindows(thumbnail, step, time) {
+        const order = thumbnail.orderStore.order;
+        if (order.length === 0)
+            return;
+        const current = order.indexOf(Display.focus_window);
+        const index = current === -1
+            ? (step > 0 ? 0 : order.length - 1)
+            : (current + step + order.length) % order.length;
+        const window = order[index];
+        journal(`[IndicatorScrollController] Cycling to ${window.title}`);
+        if (window.minimized)
+            window.unminimize();
+        thumbnail.workspace.activate_with_focus(window, time);
+    }
+
+    destroy() {
+        this._unlock();
+        if (this._scrollEventId) {
+            this._actor.disconnect(this._scrollEventId);
+            this._scrollEventId = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
+import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
+import { WorkspaceOperations } from './workspaceOperations.js';
+import { getDraggedWindow, getDraggedWindows } from './dragHelpers.js';
+import { journal } from '../utils.js';
+
+// ==================== NEW WORKSPACE DROP ZONE REGISTRY ====================
+// Every live NewWorkspaceDropZone, so whoever starts a window drag (icon,
+// search overlay row, title-bar move) can reveal all of them at once and
+// title-bar drops can be hit-tested like WorkspaceThumbnailRegistry does.
+// Singleton.
+export const NewWorkspaceDropZoneRegistry = {
+    _zones: new Set(),
+    register(zone) {
+        this._zones.add(zone);
+    },
+    unregister(zone) {
+        this._zones.delete(zone);
+    },
+    showAll() {
+        for (const zone of this._zones)
+            zone.show();
+    },
+    hideAll() {
+        for (const zone of this._zones)
+            zone.hide();
+    },
+    findAt(x, y) {
+        for (const zone of this._zones) {
+            if (!zone.visible || !zone.get_stage())
+                continue;
+            const [zx, zy] = zone.get_transformed_position();
+            if (x >= zx && x <= zx + zone.width && y >= zy && y <= zy + zone.height)
+                return zone;
+        }
+        return null;
+    },
+};
+
+// ==================== NEW WORKSPACE DROP ZONE ====================
+// Hidden slot at the end of the thumbnails box that shows up while a
+// window is being dragged. Dropping there appends a workspace and moves
+// the window(s) into it the way a drop on a WorkspaceThumbnail would.
+export class NewWorkspaceDropZone extends St.Bin {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor() {
+        super({
+            style_class: 'workspace-thumbnail new-workspace-drop-zone',
+            y_expand: true,
+            visible: false,
+            reactive: true,
+            child: new St.Label({
+                text: 'New workspace',
+                y_align: Clutter.ActorAlign.CENTER,
+            }),
+        });
+        this._delegate = this;
+        NewWorkspaceDropZoneRegistry.register(this);
+    }
+
+    handleDragOver(source, actor, x, y, time) {
+        return getDraggedWindow(source) ? DND.DragMotionResult.MOVE_DROP : DND.DragMotionResult.CONTINUE;
+    }
+
+    acceptDrop(source, actor, x, y, time) {
+        const windows = getDraggedWindows(source);
+        if (windows.length === 0)
+            return false;
+        this.acceptWindows(windows);
+        return true;
+    }
+
+    acceptWindows(windows) {
+        const workspace = WorkspaceOperations.append({ activate: false });
+        journal(`[NewWorkspaceDropZone] Moving ${windows.length} windows to new workspace ${workspace.index()}`);
+
+        // Prefer the thumbnail next to this zone (same indicator, same
+        // monitor) so moveWindowHere picks the right monitor.
+        const thumbs = WorkspaceThumbnailRegistry.getForWorkspace(workspace);
+        const thumb = thumbs.find(t => t.get_parent() === this.get_parent()) ?? thumbs[0];
+        windows.forEach((window, i) => {
+            if (thumb)
+                thumb.moveWindowHere(window, i);
+            else
+                window.change_workspace(workspace);
+        });
+    }
+
+    destroy() {
+        NewWorkspaceDropZoneRegistry.unregister(this);
+        super.destroy();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+import GLib from 'gi://GLib';
+
+const SETTINGS_KEY = 'placement-rules';
+
+// ==================== PLACEMENT RULE FORMAT ====================
+// How window placement rules are stored in GSettings (`aa{sv}`, one dict
+// per rule). Shared by WindowPlacementRules in the shell and the rules
+// page in prefs, so this module must not import anything shell-only.
+
+// Every field a rule can have. Empty/negative values mean "don't match
+// on this" for criteria and "don't do this" for actions.
+export const RULE_DEFAULTS = {
+    'name': '',
+    'enabled': true,
+    // Criteria — all non-empty ones must match.
+    'wm-class': '',
+    'app-id': '',
+    'title': '', // regular expression
+    'window-type': 'any',
+    // Actions.
+    'workspace': '', // 1-based number or workspace name
+    'monitor': -1,
+    'position': '', // "start", "end" or 1-based slot in the icon order
+    'minimize': false,
+    'sticky': false,
+};
+
+export const WINDOW_TYPE_CHOICES = [
+    ['any', 'Normal window or dialog'],
+    ['normal', 'Normal window'],
+    ['dialog', 'Dialog'],
+    ['modal-dialog', 'Modal dialog'],
+    ['utility', 'Utility'],
+];
+
+const VARIANT_TYPES = {
+    'string': 's',
+    'boolean': 'b',
+    'number': 'i',
+};
+
+export function readPlacementRules(settings) {
+    return settings.get_value(SETTINGS_KEY).recursiveUnpack()
+        .map(rule => ({ ...RULE_DEFAULTS, ...rule }));
+}
+
+export function writePlacementRules(settings, rules) {
+    const packed = rules.map(rule => {
+        const dict = {};
+        for (const [field, fallback] of Object.entries(RULE_DEFAULTS)) {
+            const value = rule[field] ?? fallback;
+            dict[field] = new GLib.Variant(VARIANT_TYPES[typeof fallback], value);
+        }
+        return dict;
+    });
+    settings.set_value(SETTINGS_KEY, new GLib.Variant('aa{sv}', packed));
+}
\ No newline at end of file
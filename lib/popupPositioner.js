@@ -0,0 +1,127 @@
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// Space between the anchor and the popup.
+const POPUP_GAP = 6;
+
+const Edge = {
+    TOP: 'top',
+    BOTTOM: 'bottom',
+    LEFT: 'left',
+    RIGHT: 'right',
+};
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+}
+
+// ==================== POPUP POSITIONER ====================
+// Places hover previews and title popups next to the icon they belong to:
+// on the icon's monitor, on the side away from the panel edge the icon
+// sits on (below a top panel, above a bottom one, beside a side panel),
+// flipped to the other side when it doesn't fit there, and clamped to
+// (and at most as wide as) the monitor's work area. While a popup is placed it is re-placed on
+// `monitors-changed`, so a resolution change or a monitor coming or
+// going doesn't strand it.
+export class PopupPositioner {
+    constructor(anchorActor) {
+        this._anchor = anchorActor;
+        this._actor = null;
+        this._monitorsChangedId = null;
+    }
+
+    // The work area of the anchor's monitor, for sizing a popup before it
+    // is placed.
+    get workArea() {
+        return Main.layoutManager.getWorkAreaForMonitor(this._monitorIndex());
+    }
+
+    // Positions `actor` (already added to the stage) and follows monitor
+    // changes until release().
+    place(actor) {
+        this._actor = actor;
+        this._reposition();
+        if (!this._monitorsChangedId) {
+            this._monitorsChangedId = Main.layoutManager.connect('monitors-changed',
+                () => this._reposition());
+        }
+    }
+
+    release() {
+        if (this._monitorsChangedId) {
+            Main.layoutManager.disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = null;
+        }
+        this._actor = null;
+    }
+
+    _monitorIndex() {
+        return this._anchor.get_stage()
+            ? Main.layoutManager.findIndexForActor(this._anchor)
+            : Main.layoutManager.primaryIndex;
+    }
+
+    // The monitor edge closest to the anchor, taken to be its panel's.
+    _panelEdge(monitor, anchorX, anchorY, anchorWidth, anchorHeight) {
+        const centerX = anchorX + anchorWidth / 2;
+        const centerY = anchorY + anchorHeight / 2;
+        const distances = [
+            [Edge.TOP, centerY - monitor.y],
+            [Edge.BOTTOM, monitor.y + monitor.height - centerY],
+            [Edge.LEFT, centerX - monitor.x],
+            [Edge.RIGHT, monitor.x + monitor.width - centerX],
+        ];
+        return distances.reduce((a, b) => (b[1] < a[1] ? b : a))[0];
+    }
+
+    _reposition() {
+        const actor = this._actor;
+        if (!actor || !this._anchor.get_stage())
+            return;
+
+        const index = this._monitorIndex();
+        const monitor = Main.layoutManager.monitors[index] ?? Main.layoutManager.primaryMonitor;
+        const workArea = Main.layoutManager.getWorkAreaForMonitor(index);
+        const [anchorX, anchorY] = this._anchor.get_transformed_position();
+        const [anchorWidth, anchorHeight] = this._anchor.get_transformed_size();
+        // Wider than the work area (a long title): capped, which makes a
+        // label ellipsize. Measured uncapped each time so a popup grows
+        // back when the work area does.
+        actor.set_width(-1);
+        let [, width] = actor.get_preferred_width(-1);
+        if (width > workArea.width) {
+            width = workArea.width;
+            actor.set_width(width);
+        }
+        const [, height] = actor.get_preferred_height(width);
+
+        let x, y;
+        const edge = this._panelEdge(monitor, anchorX, anchorY, anchorWidth, anchorHeight);
+        if (edge === Edge.TOP || edge === Edge.BOTTOM) {
+            const below = anchorY + anchorHeight + POPUP_GAP;
+            const above = anchorY - height - POPUP_GAP;
+            const fitsBelow = below + height <= workArea.y + workArea.height;
+            const fitsAbove = above >= workArea.y;
+            y = edge === Edge.TOP
+                ? (fitsBelow || !fitsAbove ? below : above)
+                : (fitsAbove || !fitsBelow ? above : below);
+            x = anchorX + (anchorWidth - width) / 2;
+        } else {
+            const right = anchorX + anchorWidth + POPUP_GAP;
+            const left = anchorX - width - POPUP_GAP;
+            const fitsRight = right + width <= workArea.x + workArea.width;
+            const fitsLeft = left >= workArea.x;
+            x = edge === Edge.LEFT
+                ? (fitsRight || !fitsLeft ? right : left)
+                : (fitsLeft || !fitsRight ? left : right);
+            y = anchorY + (anchorHeight - height) / 2;
+        }
+
+        x = clamp(x, workArea.x, workArea.x + workArea.width - width);
+        y = clamp(y, workArea.y, workArea.y + workArea.height - height);
+        actor.set_position(Math.round(x), Math.round(y));
+    }
+
+    destroy() {
+        this.release();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,122 @@
+import GLib from 'gi://GLib';
+import { WindowTracker } from './shellGlobals.js';
+import { journal } from '../utils.js';
+
+const SETTINGS_KEY = 'search-frecency';
+
+// Remembered queries, and windows per query; the least recently used go
+// first once over the cap.
+const MAX_QUERIES = 100;
+const MAX_TARGETS_PER_QUERY = 10;
+
+// An activation counts half as much after this many days.
+const HALF_LIFE_DAYS = 7;
+
+// Points per (decayed) activation, and the most frecency can add to a
+// result's fuzzy score.
+const POINTS_PER_USE = 10;
+const MAX_BOOST = 60;
+
+// What a window is remembered as: its application, since windows don't
+// outlive a session but "the terminal" does.
+function targetKey(window) {
+    return WindowTracker.get_window_app(window)?.get_id() ?? window.get_wm_class() ?? '';
+}
+
+function normalizeQuery(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// ==================== SEARCH FRECENCY ====================
+// Learns which window the user picks in WindowSearchOverlay for a given
+// query and boosts it next time, weighting uses by how recent they are.
+// A use recorded for "term" also counts, at half weight, for "te" and
+// "termi". Persisted as JSON in GSettings. Singleton — initialized once
+// from extension.js.
+export const SearchFrecency = {
+    _settings: null,
+    _queries: new Map(), // query -> { target key: [count, last used (unix s)] }
+
+    init(settings) {
+        this._settings = settings;
+        this._queries.clear();
+
+        let state = {};
+        try {
+            state = JSON.parse(settings.get_string(SETTINGS_KEY) || '{}');
+        } catch (e) {
+            journal(`[SearchFrecency] Ignoring unreadable saved state: ${e.message}`, true);
+        }
+        for (const [query, targets] of Object.entries(state.queries ?? {})) {
+            if (targets && typeof targets === 'object')
+                this._queries.set(query, targets);
+        }
+    },
+
+    // Added to the fuzzy score of `window` for `query`.
+    boost(query, window) {
+        const normalized = normalizeQuery(query);
+        if (!normalized || this._queries.size === 0)
+            return 0;
+
+        const key = targetKey(window);
+        const now = GLib.get_real_time() / GLib.USEC_PER_SEC;
+        let weight = 0;
+        for (const [recorded, targets] of this._queries) {
+            const use = targets[key];
+            if (!use)
+                continue;
+            let factor;
+            if (recorded === normalized)
+                factor = 1;
+            else if (recorded.startsWith(normalized) || normalized.startsWith(recorded))
+                factor = 0.5;
+            else
+                continue;
+            const [count, lastUsed] = use;
+            const ageDays = Math.max(0, now - lastUsed) / (24 * 60 * 60);
+            weight += factor * count * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+        }
+        return Math.min(MAX_BOOST, Math.round(weight * POINTS_PER_USE));
+    },
+
+    recordActivation(query, window) {
+        const normalized = normalizeQuery(query);
+        if (!this._settings || !normalized)
+            return;
+
+        const key = targetKey(window);
+        if (!key)
+            return;
+        const now = Math.floor(GLib.get_real_time() / GLib.USEC_PER_SEC);
+        const targets = this._queries.get(normalized) ?? {};
+        const [count] = targets[key] ?? [0];
+        targets[key] = [count + 1, now];
+
+        // Re-insert so Map order stays least recently used first.
+        this._queries.delete(normalized);
+        this._queries.set(normalized, this._prune(targets));
+        while (this._queries.size > MAX_QUERIES)
+            this._queries.delete(this._queries.keys().next().value);
+
+        journal(`[SearchFrecency] "${normalized}" -> ${key} (${count + 1})`);
+        this._save();
+    },
+
+    _prune(targets) {
+        const entries = Object.entries(targets)
+            .sort((a, b) => b[1][1] - a[1][1])
+            .slice(0, MAX_TARGETS_PER_QUERY);
+        return Object.fromEntries(entries);
+    },
+
+    _save() {
+        const state = { queries: Object.fromEntries(this._queries) };
+        this._settings.set_string(SETTINGS_KEY, JSON.stringify(state));
+    },
+
+    destroy() {
+        this._queries.clear();
+        this._settings = null;
+    },
+};
\ No newline at end of file
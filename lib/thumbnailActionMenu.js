@@ -1,21 +1,39 @@
+import GLib from 'gi://GLib';
 import St from 'gi://St';
 import Meta from 'gi://Meta';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
-import { Display } from './shellGlobals.js';
+import { Display, WorkspaceManager } from './shellGlobals.js';
 import { journal } from '../utils.js';
+import { WorkspaceLayoutSnapshot } from './workspaceLayoutSnapshot.js';
+import { WorkspaceNames } from './workspaceNames.js';
+import { WorkspaceOperations } from './workspaceOperations.js';
+import {
+    ACCENT_COLORS, ICON_CHOICES, getWorkspaceAppearance, setWorkspaceAppearance,
+} from './workspaceAppearance.js';
+import {
+    SORT_MODE_LABELS, getWorkspaceSortMode, setWorkspaceSortMode,
+} from './windowSortModes.js';
 
 // ==================== THUMBNAIL ACTION MENU ====================
 // The right-click context menu on a WorkspaceThumbnail itself (as
-// opposed to WindowActionMenu, which is per-icon): bulk close actions
-// scoped to "this workspace" vs "everywhere else". Extracted so changing
-// this menu never requires touching WorkspaceThumbnail.
+// opposed to WindowActionMenu, which is per-icon): renaming, accent
+// color and icon, moving and removing the workspace, bulk close
+// actions scoped to "this workspace" vs "everywhere else", the
+// workspace's icon sort mode, and saving/restoring the whole workspace
+// layout. Extracted so changing this menu never requires touching
+// WorkspaceThumbnail.
 export class ThumbnailActionMenu {
-    constructor(workspace, anchorActor) {
+    // `onRename(workspace, anchor)` opens the rename entry (see
+    // WorkspaceIndicator.renameWorkspace()).
+    constructor(workspace, anchorActor, settings, { onRename = null } = {}) {
         this._workspace = workspace;
         this._anchor = anchorActor;
+        this._settings = settings;
+        this._onRename = onRename;
         this._menu = null;
         this._menuManager = null;
+        this._renameIdleId = null;
     }
 
     open() {
@@ -29,6 +47,18 @@ export class ThumbnailActionMenu {
         this._menuManager.addMenu(menu);
         Main.uiGroup.add_child(menu.actor);
 
+        menu.addAction('Rename workspace', () => {
+            // Wait for the menu to drop its grab before the entry takes one.
+            this._renameIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                this._renameIdleId = null;
+                this._onRename?.(this._workspace, this._anchor);
+                return GLib.SOURCE_REMOVE;
+            });
+        });
+        this._addAppearanceSubMenus(menu);
+        this._addWorkspaceActions(menu);
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
         menu.addAction('Close all windows on all workspaces', () => {
             const windowsToClose = Display.get_tab_list(Meta.TabList.NORMAL, null);
             const currentTime = global.get_current_time();
@@ -63,9 +93,68 @@ export class ThumbnailActionMenu {
             );
         }
 
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._addSortModeSubMenu(menu);
+
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        menu.addAction('Save workspace layout', () => WorkspaceLayoutSnapshot.save());
+        menu.addAction('Restore workspace layout', () => WorkspaceLayoutSnapshot.restore());
+
         menu.open(true);
     }
 
+    _addSortModeSubMenu(menu) {
+        const index = this._workspace.index();
+        const current = getWorkspaceSortMode(this._settings, index);
+        const subMenu = new PopupMenu.PopupSubMenuMenuItem('Sort icons');
+        for (const [mode, label] of SORT_MODE_LABELS) {
+            const item = subMenu.menu.addAction(label, () => {
+                journal(`Sort mode of workspace ${index} set to ${mode}`);
+                setWorkspaceSortMode(this._settings, index, mode);
+            });
+            item.setOrnament(mode === current ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+        }
+        menu.addMenuItem(subMenu);
+    }
+
+    _addAppearanceSubMenus(menu) {
+        const name = WorkspaceNames.get(this._workspace.index());
+        const current = getWorkspaceAppearance(this._settings, name);
+        const addChoices = (title, field, choices) => {
+            const subMenu = new PopupMenu.PopupSubMenuMenuItem(title);
+            for (const [value, label] of [['', 'None'], ...choices]) {
+                const item = subMenu.menu.addAction(label, () => {
+                    journal(`Workspace "${name}" ${field} set to "${value}"`);
+                    setWorkspaceAppearance(this._settings, name, { [field]: value });
+                });
+                item.setOrnament(value === current[field] ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+                if (field === 'color' && value) {
+                    item.add_child(new St.Bin({
+                        style_class: 'workspace-color-swatch',
+                        style: `background-color: ${value};`,
+                    }));
+                }
+            }
+            menu.addMenuItem(subMenu);
+        };
+        addChoices('Color', 'color', ACCENT_COLORS);
+        addChoices('Icon', 'icon', ICON_CHOICES);
+    }
+
+    _addWorkspaceActions(menu) {
+        const index = this._workspace.index();
+        const count = WorkspaceManager.n_workspaces;
+        if (index > 0)
+            menu.addAction('Move left', () => WorkspaceOperations.move(this._workspace, index - 1));
+        if (index < count - 1)
+            menu.addAction('Move right', () => WorkspaceOperations.move(this._workspace, index + 1));
+        if (count > 1) {
+            const neighbor = index > 0 ? 'left' : 'right';
+            menu.addAction(`Remove workspace (windows go ${neighbor})`,
+                () => WorkspaceOperations.remove(this._workspace));
+        }
+    }
+
     close() {
         if (this._menu) {
             this._menu.close();
@@ -75,6 +164,10 @@ export class ThumbnailActionMenu {
     }
 
     destroy() {
+        if (this._renameIdleId) {
+            GLib.Source.remove(this._renameIdleId);
+            this._renameIdleId = null;
+        }
         this.close();
     }
 }
\ No newline at end of file
@@ -1,21 +1,60 @@
-import { DIRECT_MODE_MAX_WINDOWS } from './shellGlobals.js';
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { WindowTracker, WorkspaceManager } from './shellGlobals.js';
 import { WindowIconButton } from './windowIconButton.js';
+import { WindowGroupButton } from './windowGroupButton.js';
 import { WindowOverflowButton } from './windowOverflowButton.js';
+import { WorkspaceMiniMap } from './workspaceMiniMap.js';
 
+// The panel's left box never gets more than half the monitor, which is
+// what an automatic overflow cutoff divides among the thumbnails.
+const AUTO_CUTOFF_MONITOR_SHARE = 0.5;
+
+// ==================== THUMBNAIL DISPLAY MODE CONTROLLER ====================
+// Decides how a thumbnail shows its windows — one icon each, grouped by
+// application, as a mini-map, or collapsed behind a WindowOverflowButton
+// — and keeps those actors in sync with the WindowOrderStore. Past the
+// overflow cutoff (`overflow-max-windows`, or computed from the space a
+// thumbnail gets), `overflow-mode` picks between collapsing everything,
+// the first icons plus a "+K" chip, or scrolling the strip in
+// `scrollView` with the mouse wheel.
 export class ThumbnailDisplayModeController {
-    constructor(box, orderStore, settings, { onIconClicked } = {}) {
+    constructor(box, orderStore, settings, { onIconClicked, scrollView = null } = {}) {
         this._box = box;
+        this._scrollView = scrollView;
         this._orderStore = orderStore;
         this._settings = settings;
         this._onIconClicked = onIconClicked ?? (() => { });
         this._windowPreviews = new Map();
+        this._groupButtons = new Map(); // Shell.App (or lone Meta.Window) -> button
+        this._groupKeys = [];
         this._collectionIcon = null;
+        this._overflowChip = null;
+        this._hiddenWindows = [];
+        this._miniMap = null;
         this._mode = 'direct';
 
         // Listen for changes to the icon-size setting
         this._settingsChangeId = this._settings.connect('changed::icon-size', () => {
             this._updateAllIconSizes();
+            // The automatic cutoff and the strip length are counted in icons.
+            this.sync();
+        });
+        this._displayModeChangeId = this._settings.connect('changed::thumbnail-display-mode', () => {
+            this.sync();
+        });
+        this._overflowChangeIds = [
+            this._settings.connect('changed::overflow-mode', () => this.sync()),
+            this._settings.connect('changed::overflow-max-windows', () => this.sync()),
+        ];
+        // The automatic cutoff depends on how many thumbnails share the panel.
+        this._nWorkspacesId = WorkspaceManager.connect('notify::n-workspaces', () => {
+            if (this._settings.get_int('overflow-max-windows') === 0)
+                this.sync();
         });
+        this._scrollEventId = this._scrollView?.connect('scroll-event',
+            (actor, event) => this._onScrollEvent(event));
 
         this._orderStore.setOnOrderChanged(() => this.sync());
         this.sync();
@@ -25,29 +64,81 @@ export class ThumbnailDisplayModeController {
         return this._mode;
     }
 
+    // How many icons fit before the overflow mode kicks in:
+    // `overflow-max-windows`, or with 0, this thumbnail's share of the
+    // panel measured in icons.
+    get maxVisibleWindows() {
+        const configured = this._settings.get_int('overflow-max-windows');
+        if (configured > 0)
+            return configured;
+        const index = this._box.get_stage()
+            ? Main.layoutManager.findIndexForActor(this._box)
+            : Main.layoutManager.primaryIndex;
+        const monitor = Main.layoutManager.monitors[index] ?? Main.layoutManager.primaryMonitor;
+        const length = (this._box.vertical ? monitor.height : monitor.width) * AUTO_CUTOFF_MONITOR_SHARE;
+        const perThumbnail = length / Math.max(1, WorkspaceManager.n_workspaces);
+        return Math.max(1, Math.floor(perThumbnail / this._settings.get_int('icon-size')));
+    }
+
     sync() {
-        const count = this._orderStore.order.length;
-        if (count > DIRECT_MODE_MAX_WINDOWS)
-            this._enterCollectionMode(count);
+        const order = this._orderStore.order;
+        const displayMode = this._settings.get_string('thumbnail-display-mode');
+        const overflowMode = this._settings.get_string('overflow-mode');
+        this._updateScrolling(overflowMode === 'scroll' && displayMode !== 'minimap');
+
+        // The mini-map has room for any number of windows.
+        if (displayMode === 'minimap') {
+            this._enterMiniMapMode();
+            return;
+        }
+
+        const max = overflowMode === 'scroll' ? Infinity : this.maxVisibleWindows;
+        // In hybrid mode the "+K" chip takes the last slot.
+        const shown = Math.max(1, max - 1);
+
+        if (displayMode === 'grouped') {
+            const groups = this._computeGroups();
+            if (groups.size <= max) {
+                this._enterGroupedMode(groups);
+            } else if (overflowMode === 'hybrid') {
+                const entries = [...groups];
+                this._enterGroupedMode(new Map(entries.slice(0, shown)),
+                    entries.slice(shown).flatMap(([, windows]) => windows));
+            } else {
+                this._enterCollectionMode(order.length);
+            }
+            return;
+        }
+
+        if (order.length <= max)
+            this._enterDirectMode(order);
+        else if (overflowMode === 'hybrid')
+            this._enterDirectMode(order.slice(0, shown), order.slice(shown));
         else
-            this._enterDirectMode();
+            this._enterCollectionMode(order.length);
     }
 
     syncChildOrder() {
-        if (this._mode !== 'direct' || !this._box)
+        if (!this._box)
             return;
 
-        const orderedPreviews = [];
-        for (const window of this._orderStore.order) {
-            const preview = this._windowPreviews.get(window);
-            if (!preview)
-                continue;
+        let orderedPreviews;
+        if (this._mode === 'direct')
+            orderedPreviews = this._orderStore.order.map(w => this._windowPreviews.get(w));
+        else if (this._mode === 'grouped')
+            orderedPreviews = this._groupKeys.map(key => this._groupButtons.get(key));
+        else
+            return;
+
+        orderedPreviews = orderedPreviews.filter(preview => preview);
+        for (const preview of orderedPreviews) {
             if (preview.get_parent() === this._box)
                 this._box.remove_child(preview);
-            orderedPreviews.push(preview);
         }
         for (const preview of orderedPreviews)
             this._box.add_child(preview);
+        if (this._overflowChip)
+            this._box.set_child_above_sibling(this._overflowChip, null);
     }
 
     destroy() {
@@ -56,13 +147,39 @@ export class ThumbnailDisplayModeController {
             this._settings.disconnect(this._settingsChangeId);
             this._settingsChangeId = null;
         }
+        if (this._displayModeChangeId) {
+            this._settings.disconnect(this._displayModeChangeId);
+            this._displayModeChangeId = null;
+        }
+        for (const id of this._overflowChangeIds)
+            this._settings.disconnect(id);
+        this._overflowChangeIds = [];
+        if (this._nWorkspacesId) {
+            WorkspaceManager.disconnect(this._nWorkspacesId);
+            this._nWorkspacesId = null;
+        }
+        if (this._scrollEventId) {
+            this._scrollView.disconnect(this._scrollEventId);
+            this._scrollEventId = null;
+        }
 
-        for (const preview of this._windowPreviews.values()) {
+        this._destroyPreviews(this._windowPreviews);
+        this._destroyPreviews(this._groupButtons);
+        this._destroyCollectionIcon();
+        this._destroyOverflowChip();
+        this._destroyMiniMap();
+    }
+
+    _destroyPreviews(previews) {
+        for (const preview of previews.values()) {
             if (preview.get_parent() === this._box)
                 this._box.remove_child(preview);
             preview.destroy();
         }
-        this._windowPreviews.clear();
+        previews.clear();
+    }
+
+    _destroyCollectionIcon() {
         if (this._collectionIcon) {
             if (this._collectionIcon.get_parent() === this._box)
                 this._box.remove_child(this._collectionIcon);
@@ -71,13 +188,114 @@ export class ThumbnailDisplayModeController {
         }
     }
 
-    _enterCollectionMode(count) {
-        for (const preview of this._windowPreviews.values()) {
-            if (preview.get_parent() === this._box)
-                this._box.remove_child(preview);
-            preview.destroy();
+    _destroyOverflowChip() {
+        if (this._overflowChip) {
+            if (this._overflowChip.get_parent() === this._box)
+                this._box.remove_child(this._overflowChip);
+            this._overflowChip.destroy();
+            this._overflowChip = null;
+        }
+        this._hiddenWindows = [];
+    }
+
+    // The "+K" chip after the visible icons in hybrid mode; opens the
+    // search overlay over just the windows it stands for.
+    _syncOverflowChip(hiddenWindows) {
+        if (hiddenWindows.length === 0) {
+            this._destroyOverflowChip();
+            return;
+        }
+        this._hiddenWindows = hiddenWindows;
+        if (!this._overflowChip) {
+            this._overflowChip = new WindowOverflowButton(
+                () => this._hiddenWindows.slice(),
+                this._settings
+            );
+            this._overflowChip.add_style_class_name('overflow-chip');
+            this._box.add_child(this._overflowChip);
+        }
+        this._overflowChip.setLabel(`+${hiddenWindows.length}`);
+        this._box.set_child_above_sibling(this._overflowChip, null);
+    }
+
+    _updateScrolling(enabled) {
+        if (!this._scrollView)
+            return;
+        const vertical = this._box.vertical;
+        const policy = enabled ? St.PolicyType.EXTERNAL : St.PolicyType.NEVER;
+        // A scroll view eats wheel events even with no scrollbar.
+        this._scrollView.enable_mouse_scrolling = enabled;
+        this._scrollView.set_policy(
+            vertical ? St.PolicyType.NEVER : policy,
+            vertical ? policy : St.PolicyType.NEVER);
+        if (enabled) {
+            const length = this.maxVisibleWindows * this._settings.get_int('icon-size');
+            this._scrollView.set_style(`${vertical ? 'max-height' : 'max-width'}: ${length}px;`);
+        } else {
+            this._scrollView.set_style(null);
+        }
+        this._scrollingEnabled = enabled;
+    }
+
+    // The wheel scrolls a horizontal strip sideways. Once there's nothing
+    // to scroll, events go on to the indicator.
+    _onScrollEvent(event) {
+        if (!this._scrollingEnabled || this._box.vertical)
+            return Clutter.EVENT_PROPAGATE;
+        const adjustment = this._box.hadjustment;
+        if (!adjustment || adjustment.upper - adjustment.page_size <= 0)
+            return Clutter.EVENT_PROPAGATE;
+
+        let delta = 0;
+        switch (event.get_scroll_direction()) {
+            case Clutter.ScrollDirection.UP:
+            case Clutter.ScrollDirection.LEFT:
+                delta = -1;
+                break;
+            case Clutter.ScrollDirection.DOWN:
+            case Clutter.ScrollDirection.RIGHT:
+                delta = 1;
+                break;
+            case Clutter.ScrollDirection.SMOOTH: {
+                const [dx, dy] = event.get_scroll_delta();
+                delta = dx || dy;
+                break;
+            }
         }
-        this._windowPreviews.clear();
+        adjustment.set_value(adjustment.value + delta * this._settings.get_int('icon-size'));
+        return Clutter.EVENT_STOP;
+    }
+
+    _destroyMiniMap() {
+        if (this._miniMap) {
+            if (this._miniMap.get_parent() === this._box)
+                this._box.remove_child(this._miniMap);
+            this._miniMap.destroy();
+            this._miniMap = null;
+        }
+    }
+
+    _enterMiniMapMode() {
+        this._destroyPreviews(this._windowPreviews);
+        this._destroyPreviews(this._groupButtons);
+        this._destroyCollectionIcon();
+        this._destroyOverflowChip();
+
+        if (!this._miniMap) {
+            this._miniMap = new WorkspaceMiniMap(this._settings.get_int('icon-size'), {
+                onWindowClicked: window => this._onIconClicked(window),
+            });
+            this._box.add_child(this._miniMap);
+        }
+        this._miniMap.setWindows(this._orderStore.order);
+        this._mode = 'minimap';
+    }
+
+    _enterCollectionMode(count) {
+        this._destroyPreviews(this._windowPreviews);
+        this._destroyPreviews(this._groupButtons);
+        this._destroyOverflowChip();
+        this._destroyMiniMap();
 
         if (!this._collectionIcon) {
             this._collectionIcon = new WindowOverflowButton(
@@ -90,15 +308,14 @@ export class ThumbnailDisplayModeController {
         this._mode = 'collection';
     }
 
-    _enterDirectMode() {
-        if (this._collectionIcon) {
-            if (this._collectionIcon.get_parent() === this._box)
-                this._box.remove_child(this._collectionIcon);
-            this._collectionIcon.destroy();
-            this._collectionIcon = null;
-        }
+    // `windows` get icons; `hiddenWindows` (hybrid overflow) go behind
+    // the "+K" chip.
+    _enterDirectMode(windows, hiddenWindows = []) {
+        this._destroyCollectionIcon();
+        this._destroyPreviews(this._groupButtons);
+        this._destroyMiniMap();
 
-        const currentWindows = new Set(this._orderStore.order);
+        const currentWindows = new Set(windows);
 
         for (const [window, preview] of this._windowPreviews) {
             if (!currentWindows.has(window)) {
@@ -109,7 +326,7 @@ export class ThumbnailDisplayModeController {
             }
         }
 
-        for (const window of this._orderStore.order) {
+        for (const window of windows) {
             if (this._windowPreviews.has(window))
                 continue;
             if (!this._box || !this._box.get_stage())
@@ -122,6 +339,7 @@ export class ThumbnailDisplayModeController {
             this._box.add_child(preview);
         }
 
+        this._syncOverflowChip(hiddenWindows);
         this._mode = 'direct';
         this.syncChildOrder();
 
@@ -129,6 +347,61 @@ export class ThumbnailDisplayModeController {
         this._updateAllIconSizes();
     }
 
+    // Windows grouped by Shell.App, in order of each app's first window.
+    // Windows without an app get a group of their own.
+    _computeGroups() {
+        const groups = new Map();
+        for (const window of this._orderStore.order) {
+            const key = WindowTracker.get_window_app(window) ?? window;
+            if (!groups.has(key))
+                groups.set(key, []);
+            groups.get(key).push(window);
+        }
+        return groups;
+    }
+
+    _enterGroupedMode(groups, hiddenWindows = []) {
+        this._destroyCollectionIcon();
+        this._destroyPreviews(this._windowPreviews);
+        this._destroyMiniMap();
+
+        // A button whose membership changed is rebuilt rather than patched:
+        // a group can turn into a lone icon and back.
+        for (const [key, button] of this._groupButtons) {
+            const windows = groups.get(key);
+            const unchanged = windows &&
+                windows.length === button.windows.length &&
+                windows.every((w, i) => w === button.windows[i]);
+            if (unchanged)
+                continue;
+            if (button.get_parent() === this._box)
+                this._box.remove_child(button);
+            button.destroy();
+            this._groupButtons.delete(key);
+        }
+
+        for (const [key, windows] of groups) {
+            if (this._groupButtons.has(key))
+                continue;
+            if (!this._box || !this._box.get_stage())
+                continue;
+
+            const button = windows.length > 1
+                ? new WindowGroupButton(windows, this._settings)
+                : new WindowIconButton(windows[0], this._settings);
+            button.connect('clicked', () => this._onIconClicked(windows[0]));
+
+            this._groupButtons.set(key, button);
+            this._box.add_child(button);
+        }
+
+        this._groupKeys = [...groups.keys()];
+        this._syncOverflowChip(hiddenWindows);
+        this._mode = 'grouped';
+        this.syncChildOrder();
+        this._updateAllIconSizes();
+    }
+
     /**
      * Update the icon size of all existing previews to the current setting.
      * Called when the 'icon-size' setting changes.
@@ -138,5 +411,8 @@ export class ThumbnailDisplayModeController {
         for (const preview of this._windowPreviews.values()) {
             preview.setIconSize(iconSize);
         }
+        for (const button of this._groupButtons.values())
+            button.setIconSize(iconSize);
+        this._miniMap?.setHeight(iconSize);
     }
-}
\ No newline at end of file
+}
@@ -3,12 +3,14 @@ import Meta from 'gi://Meta';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import { WorkspaceManager } from './shellGlobals.js';
 import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
+import { NewWorkspaceDropZoneRegistry } from './newWorkspaceDropZone.js';
 import { journal } from '../utils.js';
 
 // ==================== TITLE BAR MOVE MONITOR ====================
 // Listens for native mutter window-move grabs (dragging a window by its
 // title bar) and, on release, checks whether the pointer is over one of
-// our workspace thumbnails. If so, moves the window there using the same
+// our workspace thumbnails (or a "new workspace" drop zone, revealed for
+// the duration of the move). If so, moves the window there using the same
 // normal GNOME window-move machinery already used by internal DND drops.
 // This is NOT the same pipeline as DND.makeDraggable: title-bar drags are
 // a compositor-level grab operation, not a Clutter/St DND session, so
@@ -37,6 +39,7 @@ export class TitleBarMoveMonitor {
         journal(`[TitleBarMoveMonitor] Move grab started: ${window?.title}`);
         this._currentDragWindow = window;
         this._lastSwitchedWorkspace = null;
+        NewWorkspaceDropZoneRegistry.showAll();
         this._startDragPoll();
     }
 
@@ -46,10 +49,19 @@ export class TitleBarMoveMonitor {
         this._lastSwitchedWorkspace = null;
         this._stopDragPoll();
 
+        const [pointerX, pointerY] = global.get_pointer();
+        const dropZone = NewWorkspaceDropZoneRegistry.findAt(pointerX, pointerY);
+        NewWorkspaceDropZoneRegistry.hideAll();
+
         if (!grabbed || grabbed !== window || !this._isMoveOp(op))
             return;
 
-        const [pointerX, pointerY] = global.get_pointer();
+        if (dropZone) {
+            journal(`[TitleBarMoveMonitor] Dropped "${window.title}" onto the new workspace zone`);
+            dropZone.acceptWindows([window]);
+            return;
+        }
+
         const target = this._findThumbnailAt(pointerX, pointerY);
         if (target) {
             journal(`[TitleBarMoveMonitor] Dropped "${window.title}" onto workspace ${target.workspaceIndex}`);
@@ -124,6 +136,8 @@ export class TitleBarMoveMonitor {
 
     destroy() {
         this._stopDragPoll();
+        if (this._currentDragWindow)
+            NewWorkspaceDropZoneRegistry.hideAll();
         if (this._beginId) {
             global.display.disconnect(this._beginId);
             this._beginId = null;
@@ -0,0 +1,33 @@
+// Calls `callback(window)` once the window has drawn its first frame —
+// the point where wm_class, app id and title have usually settled, so
+// it's safe to match the window against rules or saved layouts. Calls
+// back immediately if the window has no actor. A window unmanaged before
+// its first frame gets `onUnmanaged(window)` instead, so callers can
+// forget it. Returns a function that cancels the wait.
+export function onWindowFirstFrame(window, callback, onUnmanaged = null) {
+    const actor = window.get_compositor_private();
+    if (!actor) {
+        callback(window);
+        return () => { };
+    }
+
+    let firstFrameId = 0;
+    let unmanagedId = 0;
+    const cancel = () => {
+        if (!firstFrameId)
+            return;
+        actor.disconnect(firstFrameId);
+        window.disconnect(unmanagedId);
+        firstFrameId = 0;
+        unmanagedId = 0;
+    };
+    firstFrameId = actor.connect('first-frame', () => {
+        cancel();
+        callback(window);
+    });
+    unmanagedId = window.connect('unmanaged', () => {
+        cancel();
+        onUnmanaged?.(window);
+    });
+    return cancel;
+}
\ No newline at end of file
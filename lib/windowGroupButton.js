@@ -0,0 +1,71 @@
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import { Display } from './shellGlobals.js';
+import { journal } from '../utils.js';
+import { WindowIconButton } from './windowIconButton.js';
+import { WindowIconRenderer } from './windowIconRenderer.js';
+import { WindowGroupHoverPreview } from './windowGroupHoverPreview.js';
+
+// ==================== WINDOW GROUP BUTTON ====================
+// One stacked icon for every window of an application on a workspace,
+// used by ThumbnailDisplayModeController's "grouped" mode. Behaves like a
+// WindowIconButton for its first window (menu, title popup, reorder drag)
+// except that left-click cycles through the group, hover shows every
+// window of the group, and dropping it moves the whole group (see
+// getDraggedWindows()).
+export class WindowGroupButton extends WindowIconButton {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor(windows, settings) {
+        super(windows[0], settings);
+        this.add_style_class_name('window-group-icon');
+        this._windows = windows.slice();
+
+        // The count badge sits on top of the app icon, so the renderer
+        // draws into an inner bin instead of straight into the button.
+        this._iconRenderer.destroy();
+        this._iconBin = new St.Bin();
+        this._badge = new St.Label({
+            style_class: 'window-group-badge',
+            text: `${this._windows.length}`,
+            x_expand: true,
+            y_expand: true,
+            x_align: Clutter.ActorAlign.END,
+            y_align: Clutter.ActorAlign.START,
+        });
+        const stack = new St.Widget({ layout_manager: new Clutter.BinLayout() });
+        stack.add_child(this._iconBin);
+        stack.add_child(this._badge);
+        this.set_child(stack);
+        this._iconRenderer = new WindowIconRenderer(this._iconBin, windows[0], settings);
+
+        this._hoverPreview.destroy();
+        this._hoverPreview = new WindowGroupHoverPreview(this, () => this._windows, settings, {
+            onHoverChange: isHovered => this._onPreviewHoverChange(isHovered),
+        });
+    }
+
+    get windows() {
+        return this._windows;
+    }
+
+    // Cycles through the group instead of toggling one window.
+    activateWindow() {
+        this.forceHidePreview('activate');
+        this._activateNextWindow();
+    }
+
+    // Focuses the group member after the focused one, wrapping around;
+    // starts at the first member when none of them has focus.
+    _activateNextWindow() {
+        const focusedIndex = this._windows.indexOf(Display.focus_window);
+        const next = this._windows[(focusedIndex + 1) % this._windows.length];
+        journal(`[WindowGroupButton] Cycling to ${next.title}`);
+        if (next.minimized)
+            next.unminimize();
+        next.get_workspace().activate_with_focus(next, global.get_current_time());
+    }
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { createClonePreviewActor } from './clonePreviewActor.js';
+import { PopupPositioner } from './popupPositioner.js';
+import { TimeoutDelay } from './shellGlobals.js';
+import { journal } from '../utils.js';
+
+// Share of the monitor's work area width the strip may use before its
+// previews are shrunk.
+const MAX_STRIP_WIDTH_FRACTION = 0.9;
+
+// ==================== WINDOW GROUP HOVER PREVIEW ====================
+// WindowHoverPreview's counterpart for a WindowGroupButton: one strip with
+// a live preview of every window in the group. Same surface as
+// WindowHoverPreview (show/hide/isShowing/isHovered) so WindowIconButton's
+// hover and cleanup logic drives both without knowing which it has.
+export class WindowGroupHoverPreview {
+    constructor(anchorActor, getWindowsFn, settings, { onHoverChange } = {}) {
+        this._getWindowsFn = getWindowsFn;
+        this._settings = settings;
+        this._onHoverChange = onHoverChange ?? (() => { });
+        this._positioner = new PopupPositioner(anchorActor);
+        this._stripActor = null;
+        this._isShowing = false;
+    }
+
+    isShowing() {
+        return this._isShowing;
+    }
+
+    isHovered() {
+        return this._stripActor?.hover ?? false;
+    }
+
+    show() {
+        if (this._isShowing)
+            return;
+
+        const windows = this._getWindowsFn().filter(w => w.get_frame_rect().height > 0);
+        if (windows.length === 0)
+            return;
+
+        let previewHeight = this._settings.get_int('hover-preview-height');
+        const totalWidth = windows.reduce((sum, w) => {
+            const frame = w.get_frame_rect();
+            return sum + previewHeight * frame.width / frame.height;
+        }, 0);
+        const maxWidth = this._positioner.workArea.width * MAX_STRIP_WIDTH_FRACTION;
+        if (totalWidth > maxWidth)
+            previewHeight = Math.floor(previewHeight * maxWidth / totalWidth);
+
+        const strip = new St.BoxLayout({
+            style_class: 'hover-preview-wrapper window-group-preview-strip',
+            reactive: true,
+            track_hover: true,
+        });
+        strip.connect('notify::hover', () => this._onHoverChange(strip.hover));
+
+        for (const window of windows) {
+            const built = createClonePreviewActor(window, previewHeight, {
+                wrapperStyleClass: 'window-group-preview-item',
+                onClose: (win) => {
+                    win.delete(global.get_current_time());
+                    this.hide();
+                },
+                closeButtonSize: this._settings.get_int('close-button-size'),
+                titleFontSize: this._settings.get_int('clone-title-font-size'),
+                onActivate: () => {
+                    window.get_workspace().activate_with_focus(window, 0);
+                    this.hide();
+                },
+            });
+            if (!built)
+                continue;
+            strip.add_child(built.actor);
+        }
+
+        this._stripActor = strip;
+        Main.layoutManager.addChrome(strip);
+        this._positioner.place(strip);
+
+        strip.opacity = 0;
+        strip.ease({
+            opacity: 255,
+            duration: TimeoutDelay,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+        });
+
+        this._isShowing = true;
+        journal(`[WindowGroupHoverPreview] Shown with ${windows.length} windows`);
+    }
+
+    hide() {
+        if (!this._isShowing)
+            return;
+        if (this._stripActor) {
+            const actor = this._stripActor;
+            this._stripActor = null;
+            this._positioner.release();
+            Main.layoutManager.removeChrome(actor);
+            actor.destroy();
+        }
+        this._isShowing = false;
+        journal(`[WindowGroupHoverPreview] Hidden`);
+    }
+
+    destroy() {
+        this.hide();
+        this._positioner.destroy();
+    }
+}
\ No newline at end of file
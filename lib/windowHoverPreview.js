@@ -1,15 +1,16 @@
 import Clutter from 'gi://Clutter';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import { createClonePreviewActor } from './clonePreviewActor.js';
-import { screenHeight, TimeoutDelay } from './shellGlobals.js';
+import { PopupPositioner } from './popupPositioner.js';
+import { TimeoutDelay } from './shellGlobals.js';
 import { journal } from '../utils.js';
 
 export class WindowHoverPreview {
     constructor(anchorActor, window, settings, { onHoverChange } = {}) {
-        this._anchor = anchorActor;
         this._window = window;
         this._settings = settings;
         this._onHoverChange = onHoverChange ?? (() => { });
+        this._positioner = new PopupPositioner(anchorActor);
         this._previewActor = null;
         this._isShowing = false;
     }
@@ -47,14 +48,9 @@ export class WindowHoverPreview {
         if (!built)
             return;
 
-        const anchorWidth = this._anchor.get_width();
-        const [anchorX] = this._anchor.get_transformed_position();
-        const previewX = Math.max(0, anchorX + (anchorWidth - built.width) / 2);
-        const previewY = screenHeight - previewHeight - 200 + 55;
-
-        built.actor.set_position(previewX, previewY);
         this._previewActor = built.actor;
         Main.layoutManager.addChrome(this._previewActor);
+        this._positioner.place(this._previewActor);
 
         this._previewActor.opacity = 0;
         this._previewActor.ease({
@@ -73,6 +69,7 @@ export class WindowHoverPreview {
         if (this._previewActor) {
             const actor = this._previewActor;
             this._previewActor = null;
+            this._positioner.release();
             Main.layoutManager.removeChrome(actor);
             actor.destroy();
         }
@@ -82,5 +79,6 @@ export class WindowHoverPreview {
 
     destroy() {
         this.hide();
+        this._positioner.destroy();
     }
 }
\ No newline at end of file
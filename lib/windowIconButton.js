@@ -13,6 +13,8 @@ import { WindowTitlePopup } from './windowTitlePopup.js';
 import { ExternalDragAutoActivator } from './externalDragAutoActivator.js';
 import { ActivePreviewTracker } from './activePreviewTracker.js';
 import { WindowReorderDragController } from './windowReorderDragController.js';
+import { NewWorkspaceDropZoneRegistry } from './newWorkspaceDropZone.js';
+import { runClickAction } from './clickActionRunner.js';
 
 export class WindowIconButton extends St.Button {
     static {
@@ -51,11 +53,13 @@ export class WindowIconButton extends St.Button {
         this._draggable.connect('drag-begin', () => {
             journal(`[WindowIconButton] Drag began for ${this._window.title}`);
             WindowReorderDragController.beginDrag(this);
+            NewWorkspaceDropZoneRegistry.showAll();
         });
 
         this._draggable.connect('drag-end', () => {
             journal(`[WindowIconButton] Drag ended for ${this._window.title}`);
             WindowReorderDragController.endDrag();
+            NewWorkspaceDropZoneRegistry.hideAll();
 
             const thumbnail = this._getThumbnail();
             if (thumbnail?.syncChildOrder) {
@@ -86,13 +90,18 @@ export class WindowIconButton extends St.Button {
         return this._window;
     }
 
+    // Every window this button stands for; see WindowGroupButton.
+    get windows() {
+        return [this._window];
+    }
+
     get realWindow() {
         return this._window.get_compositor_private();
     }
 
-    onCtrlChanged(ctrlPressed) {
-        journal(`[WindowIconButton] Ctrl changed: ${ctrlPressed}`);
-        if (ctrlPressed) {
+    onSwapModifierChanged(held) {
+        journal(`[WindowIconButton] Swap modifier changed: ${held}`);
+        if (held) {
             this._titlePopup.show();
             this._hoverPreview.hide();
         } else {
@@ -115,9 +124,12 @@ export class WindowIconButton extends St.Button {
     }
 
     // ---- internal ----
+    // The icon sits in the thumbnail's windows box, inside its scroll view.
     _getThumbnail() {
-        const box = this.get_parent();
-        return box ? box.get_parent() : null;
+        let actor = this.get_parent();
+        while (actor && !actor.handleWindowDragOver)
+            actor = actor.get_parent();
+        return actor;
     }
 
     _onIconHoverChange() {
@@ -128,8 +140,8 @@ export class WindowIconButton extends St.Button {
         if (this.hover) {
             this._cancelCleanup();
             if (this._hoverPreview.isShowing() || this._titlePopup.isShowing()) {
-                journal(`[WindowIconButton] Already showing preview, re-syncing to current Ctrl state`);
-                this.onCtrlChanged(ActivePreviewTracker.getCurrentCtrlState());
+                journal(`[WindowIconButton] Already showing preview, re-syncing to the swap modifier`);
+                this.onSwapModifierChanged(ActivePreviewTracker.isSwapModifierHeld());
                 return;
             }
             this._hoverTimeoutId = GLib.timeout_add(
@@ -161,7 +173,7 @@ export class WindowIconButton extends St.Button {
             journal(`[WindowIconButton] Not hovering anymore, aborting`);
             return;
         }
-        if (ActivePreviewTracker.getCurrentCtrlState())
+        if (ActivePreviewTracker.isSwapModifierHeld())
             this._titlePopup.show();
         else
             this._hoverPreview.show();
@@ -207,11 +219,10 @@ export class WindowIconButton extends St.Button {
         journal(`[WindowIconButton] handleDragOver source=${source?.constructor?.name}, window=${this._window?.title}`);
 
         if (source instanceof WindowIconButton) {
-            const draggedWindow = source._window;
             const thumbnail = this._getThumbnail();
 
             if (thumbnail?.handleWindowDragOver)
-                return thumbnail.handleWindowDragOver(draggedWindow, this, x, y, time);
+                return thumbnail.handleWindowDragOver(source, this, x, y, time);
 
             return DND.DragMotionResult.CONTINUE;
         }
@@ -224,45 +235,63 @@ export class WindowIconButton extends St.Button {
         journal(`[WindowIconButton] acceptDrop source=${source?.constructor?.name}`);
 
         if (source instanceof WindowIconButton) {
-            const draggedWindow = source._window;
             const thumbnail = this._getThumbnail();
             if (thumbnail?.acceptWindowDrop)
-                return thumbnail.acceptWindowDrop(draggedWindow, this, x, y, time);
+                return thumbnail.acceptWindowDrop(source, this, x, y, time);
             return false;
         }
 
         return false;
     }
 
-    // ---- Event handlers ----
-    _onButtonPressed(actor, event) {
-        const button = event.get_button();
-        if (button === Clutter.BUTTON_PRIMARY) {
-            journal(`[WindowIconButton] Left click`);
-            this.forceHidePreview('left click');
-            const win = this._window;
-            const currentWs = WorkspaceManager.get_active_workspace();
-            const winWs = win.get_workspace();
-            if (winWs === currentWs) {
-                if (win.minimized) {
-                    win.unminimize();
-                    win.activate_with_workspace(0, winWs);
-                } else if (this._isCovered(win)) {
-                    win.activate_with_workspace(0, winWs);
-                } else {
-                    win.minimize();
-                }
-                return Clutter.EVENT_STOP;
+    // ---- Actions (mouse and keyboard) ----
+    // Raises the window, or minimizes it when it is already on top of the
+    // current workspace.
+    activateWindow() {
+        this.forceHidePreview('activate');
+        const win = this._window;
+        const currentWs = WorkspaceManager.get_active_workspace();
+        const winWs = win.get_workspace();
+        if (winWs === currentWs) {
+            if (win.minimized) {
+                win.unminimize();
+                win.activate_with_workspace(0, winWs);
+            } else if (this._isCovered(win)) {
+                win.activate_with_workspace(0, winWs);
+            } else {
+                win.minimize();
             }
-            winWs.activate_with_focus(win, 0);
-            return Clutter.EVENT_STOP;
-        }
-        if (button === Clutter.BUTTON_SECONDARY) {
-            journal(`[WindowIconButton] Right click`);
-            this.forceHidePreview('right click');
-            this._actionMenu.open();
-            return Clutter.EVENT_STOP;
+            return;
         }
+        winWs.activate_with_focus(win, 0);
+    }
+
+    openMenu() {
+        this.forceHidePreview('menu');
+        this._actionMenu.open();
+    }
+
+    // Shows the hover preview even when the title popup or an action hid it.
+    showPreview() {
+        this._cancelCleanup();
+        ActivePreviewTracker.registerPreview(this);
+        this._titlePopup.hide();
+        this._hoverPreview.show();
+    }
+
+    // ---- Event handlers ----
+    // Every press stops here, bound or not, so the thumbnail underneath
+    // doesn't run its own click action.
+    _onButtonPressed(actor, event) {
+        const thumbnail = this._getThumbnail();
+        runClickAction(this._settings, event, {
+            windows: this.windows,
+            overlayWindows: [...thumbnail?.orderStore.order ?? this.windows],
+            activate: () => this.activateWindow(),
+            openMenu: () => this.openMenu(),
+            showPreview: () => this.showPreview(),
+        });
+        return Clutter.EVENT_STOP;
     }
 
     _isCovered(window) {
@@ -0,0 +1,59 @@
+import GLib from 'gi://GLib';
+import { WindowTracker } from './shellGlobals.js';
+
+// ==================== WINDOW IDENTITY ====================
+// Meta.Window objects don't survive a shell restart or a re-login, so
+// anything we want to remember about a window has to be keyed on a
+// plain-data descriptor instead. Within one shell process the stable
+// sequence number identifies a window exactly; across processes we fall
+// back to app id / wm_class + instance + title heuristics.
+
+// Identifies the running shell process. A stable sequence is only
+// meaningful when it was recorded by the same process that reads it. Not
+// the PID: an X11 in-place restart re-execs the same process (and PIDs
+// get reused across logins) while the sequence starts counting again.
+export const SESSION_ID = GLib.uuid_string_random();
+
+export function describeWindow(window) {
+    const app = WindowTracker.get_window_app(window);
+    return {
+        appId: app?.get_id() ?? '',
+        wmClass: window.get_wm_class() ?? '',
+        instance: window.get_wm_class_instance() ?? '',
+        title: window.get_title() ?? '',
+        seq: window.get_stable_sequence(),
+        session: SESSION_ID,
+    };
+}
+
+// How well `window` matches a previously recorded `descriptor`.
+// 0 means "not the same window"; higher is a better match. Only windows
+// of the same application can match at all. A descriptor recorded by
+// this shell process only ever matches its exact window unless
+// `sameSessionExact` is false, in which case other windows of the same
+// app still match by heuristics (for routing relaunched windows).
+export function scoreIdentityMatch(descriptor, window, { sameSessionExact = true } = {}) {
+    if (!descriptor || !window)
+        return 0;
+
+    if (descriptor.session === SESSION_ID) {
+        if (descriptor.seq === window.get_stable_sequence())
+            return 100;
+        if (sameSessionExact)
+            return 0;
+    }
+
+    const current = describeWindow(window);
+    const sameApp = descriptor.appId
+        ? descriptor.appId === current.appId
+        : descriptor.wmClass !== '' && descriptor.wmClass === current.wmClass;
+    if (!sameApp)
+        return 0;
+
+    let score = 10;
+    if (descriptor.instance && descriptor.instance === current.instance)
+        score += 3;
+    if (descriptor.title && descriptor.title === current.title)
+        score += 5;
+    return score;
+}
\ No newline at end of file
@@ -0,0 +1,87 @@
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { Display, WorkspaceManager } from './shellGlobals.js';
+import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
+import { WorkspaceOperations } from './workspaceOperations.js';
+import { journal } from '../utils.js';
+
+const NUMBERED_WORKSPACES = 10;
+
+// Schema key -> which workspace the focused window goes to. Every key
+// also has a `-follow` variant that switches there with the window.
+const TARGETS = new Map([
+    ...Array.from({ length: NUMBERED_WORKSPACES }, (_, i) =>
+        [`move-window-to-workspace-${i + 1}`, { index: i }]),
+    ['move-window-to-next-workspace', { offset: 1 }],
+    ['move-window-to-previous-workspace', { offset: -1 }],
+    ['move-window-to-new-workspace', { create: true }],
+]);
+
+const WINDOW_MOVE_KEYBINDINGS = [...TARGETS.keys()]
+    .flatMap(key => [key, `${key}-follow`]);
+
+// ==================== WINDOW MOVE KEYBINDINGS ====================
+// Global shortcuts that send the focused window to workspace 1–10, the
+// next or previous workspace, or a new one at the end, optionally
+// switching along with it. The window goes through the destination
+// thumbnail's moveWindowHere(), so it lands where `moved-window-position`
+// says in that workspace's icon order, and stays on its monitor.
+export class WindowMoveKeybindings {
+    constructor(settings) {
+        this._settings = settings;
+
+        for (const [key, target] of TARGETS) {
+            for (const follow of [false, true]) {
+                Main.wm.addKeybinding(follow ? `${key}-follow` : key, settings,
+                    Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+                    () => this._moveFocusedWindow(target, follow));
+            }
+        }
+    }
+
+    _resolveWorkspace({ index, offset, create }, window) {
+        if (create)
+            return WorkspaceOperations.append({ activate: false });
+        if (offset !== undefined) {
+            const from = window.get_workspace()?.index() ?? WorkspaceManager.get_active_workspace_index();
+            return WorkspaceManager.get_workspace_by_index(from + offset);
+        }
+        // Like placement rules, a numbered workspace that doesn't exist
+        // yet is created.
+        while (WorkspaceManager.n_workspaces <= index)
+            WorkspaceManager.append_new_workspace(false, global.get_current_time());
+        return WorkspaceManager.get_workspace_by_index(index);
+    }
+
+    _moveFocusedWindow(target, follow) {
+        const window = Display.focus_window;
+        if (!window || window.skip_taskbar || window.is_on_all_workspaces())
+            return;
+        const workspace = this._resolveWorkspace(target, window);
+        if (!workspace)
+            return;
+
+        journal(`[WindowMoveKeybindings] Moving ${window.title} to workspace ${workspace.index()}${follow ? ' and following' : ''}`);
+        if (workspace !== window.get_workspace()) {
+            const insertIndex = this._settings.get_string('moved-window-position') === 'start'
+                ? 0
+                : Number.MAX_SAFE_INTEGER;
+            // Per-monitor indicators have a thumbnail per monitor; pick the
+            // one listing the window's monitor.
+            const thumbnail = WorkspaceThumbnailRegistry.getForWorkspace(workspace)
+                .find(t => t.monitorIndex === null || t.monitorIndex === window.get_monitor());
+            if (thumbnail)
+                thumbnail.moveWindowHere(window, insertIndex, { keepMonitor: true });
+            else
+                window.change_workspace(workspace);
+        }
+        if (follow)
+            workspace.activate_with_focus(window, global.get_current_time());
+    }
+
+    destroy() {
+        for (const key of WINDOW_MOVE_KEYBINDINGS)
+            Main.wm.removeKeybinding(key);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,208 @@
+import GLib from 'gi://GLib';
+import { Display } from './shellGlobals.js';
+import { describeWindow, scoreIdentityMatch, SESSION_ID } from './windowIdentity.js';
+import { journal } from '../utils.js';
+
+const SETTINGS_KEY = 'window-order-state';
+
+// Remembered entries per workspace, live windows included. Entries for
+// windows that are gone are kept (so a re-login can restore them) until
+// this cap pushes them out.
+const MAX_ENTRIES_PER_WORKSPACE = 40;
+
+const SAVE_DELAY_MS = 500;
+
+// ==================== WINDOW ORDER PERSISTENCE ====================
+// Saves every WindowOrderStore's display order to GSettings as a list of
+// window descriptors (see windowIdentity.js) and answers "where did this
+// window used to sit?" when a window (re)appears. Entries whose window is
+// not currently open are kept at their relative position, so windows
+// that map late after a restart still land in their remembered slot.
+// Singleton — initialized once from extension.js.
+export const WindowOrderPersistence = {
+    _settings: null,
+    _workspaces: new Map(), // workspace key -> [descriptor]
+    _claims: new Map(),     // Meta.Window -> descriptor
+    _saveTimeoutId: null,
+
+    init(settings) {
+        this._settings = settings;
+        this._workspaces.clear();
+        this._claims.clear();
+
+        let state = {};
+        try {
+            state = JSON.parse(settings.get_string(SETTINGS_KEY) || '{}');
+        } catch (e) {
+            journal(`[WindowOrderPersistence] Ignoring unreadable saved state: ${e.message}`, true);
+        }
+        for (const [key, entries] of Object.entries(state.workspaces ?? {})) {
+            if (Array.isArray(entries))
+                this._workspaces.set(key, entries);
+        }
+        journal(`[WindowOrderPersistence] Loaded order for ${this._workspaces.size} workspaces`);
+    },
+
+    // Index into `order` where `window` should be inserted, based on the
+    // remembered order of `workspace` (on `monitorIndex`, for per-monitor
+    // indicators), or null if nothing is remembered.
+    resolveInsertIndex(workspace, window, order, monitorIndex = null) {
+        const entries = this._workspaces.get(this._keyFor(workspace, monitorIndex));
+        if (!entries)
+            return null;
+
+        const slot = this._claimSlot(entries, window);
+        if (slot === -1)
+            return null;
+
+        for (let i = 0; i < order.length; i++) {
+            const otherSlot = entries.indexOf(this._claims.get(order[i]));
+            if (otherSlot > slot)
+                return i;
+        }
+        return order.length;
+    },
+
+    recordOrder(workspace, order, monitorIndex = null) {
+        if (!this._settings)
+            return;
+
+        const key = this._keyFor(workspace, monitorIndex);
+        const previous = this._workspaces.get(key) ?? [];
+        const live = new Set(order);
+        const openWindows = new Set(Display.list_all_windows());
+        const openBySeq = new Map([...openWindows].map(w => [w.get_stable_sequence(), w]));
+
+        // Claims held by windows that no longer exist turn into leftovers.
+        for (const window of [...this._claims.keys()]) {
+            if (!openWindows.has(window))
+                this._claims.delete(window);
+        }
+
+        // Group leftover entries behind the live window that preceded them.
+        const ghostsAfter = new Map([[null, []]]);
+        let previousLive = null;
+        for (const entry of previous) {
+            const owner = this._ownerOf(entry);
+            if (owner && live.has(owner)) {
+                previousLive = owner;
+                continue;
+            }
+            // Still open, just on another workspace (or monitor) now: that
+            // one records it.
+            const openWindow = entry.session === SESSION_ID ? openBySeq.get(entry.seq) : null;
+            const openOn = openWindow?.get_workspace();
+            if (openOn && openOn !== workspace)
+                continue;
+            if (openOn && monitorIndex !== null && openWindow.get_monitor() !== monitorIndex)
+                continue;
+            if (!ghostsAfter.has(previousLive))
+                ghostsAfter.set(previousLive, []);
+            ghostsAfter.get(previousLive).push(entry);
+        }
+
+        const entries = [...ghostsAfter.get(null)];
+        for (const window of order) {
+            const entry = describeWindow(window);
+            this._claims.set(window, entry);
+            entries.push(entry, ...ghostsAfter.get(window) ?? []);
+        }
+
+        // Trim leftovers from the end of the list first; live windows are
+        // never dropped.
+        let excess = entries.length - Math.max(MAX_ENTRIES_PER_WORKSPACE, order.length);
+        for (let i = entries.length - 1; i >= 0 && excess > 0; i--) {
+            if (!live.has(this._ownerOf(entries[i]))) {
+                entries.splice(i, 1);
+                excess--;
+            }
+        }
+
+        this._workspaces.set(key, entries);
+        this._scheduleSave();
+    },
+
+    // Re-keys remembered orders when workspace indices shift; see
+    // WorkspaceOperations. `remapFn(oldIndex)` returns -1 for a removed
+    // workspace, whose entries are dropped.
+    remapWorkspaces(remapFn) {
+        if (!this._settings)
+            return;
+        const remapped = new Map();
+        for (const [key, entries] of this._workspaces) {
+            const newIndex = remapFn(parseInt(key, 10));
+            if (newIndex >= 0)
+                remapped.set(key.replace(/^\d+/, `${newIndex}`), entries);
+        }
+        this._workspaces = remapped;
+        this._scheduleSave();
+    },
+
+    destroy() {
+        if (this._saveTimeoutId) {
+            GLib.Source.remove(this._saveTimeoutId);
+            this._saveTimeoutId = null;
+            this._save();
+        }
+        this._workspaces.clear();
+        this._claims.clear();
+        this._settings = null;
+    },
+
+    // "<index>", or "<index>@<monitor>" for per-monitor indicators.
+    _keyFor(workspace, monitorIndex = null) {
+        return monitorIndex === null
+            ? `${workspace.index()}`
+            : `${workspace.index()}@${monitorIndex}`;
+    },
+
+    _ownerOf(entry) {
+        for (const [window, claimed] of this._claims) {
+            if (claimed === entry)
+                return window;
+        }
+        return null;
+    },
+
+    // Slot of the best unclaimed entry for `window` (claiming it), the
+    // slot it already holds, or -1.
+    _claimSlot(entries, window) {
+        const existing = this._claims.get(window);
+        if (existing && entries.includes(existing))
+            return entries.indexOf(existing);
+
+        const claimed = new Set(this._claims.values());
+        let bestIndex = -1;
+        let bestScore = 0;
+        entries.forEach((entry, index) => {
+            if (claimed.has(entry))
+                return;
+            const score = scoreIdentityMatch(entry, window);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex !== -1)
+            this._claims.set(window, entries[bestIndex]);
+        return bestIndex;
+    },
+
+    _scheduleSave() {
+        if (this._saveTimeoutId)
+            return;
+        this._saveTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SAVE_DELAY_MS, () => {
+            this._saveTimeoutId = null;
+            this._save();
+            return GLib.SOURCE_REMOVE;
+        });
+    },
+
+    _save() {
+        if (!this._settings)
+            return;
+        const state = { workspaces: Object.fromEntries(this._workspaces) };
+        this._settings.set_string(SETTINGS_KEY, JSON.stringify(state));
+    },
+};
\ No newline at end of file
@@ -1,16 +1,57 @@
 import GLib from 'gi://GLib';
 import { Display, TimeoutDelay } from './shellGlobals.js';
+import { WindowOrderPersistence } from './windowOrderPersistence.js';
+import {
+    SortMode, sortWindows, getWorkspaceSortMode, setWorkspaceSortMode,
+} from './windowSortModes.js';
+
+// ==================== WINDOW ORDER EVENTS ====================
+// Lets code outside the thumbnails (the D-Bus service) follow the order
+// changes of every WindowOrderStore without holding the stores. Singleton.
+export const WindowOrderEvents = {
+    _listeners: new Set(),
+
+    // `callback(store)` runs after any store's order changed.
+    connect(callback) {
+        this._listeners.add(callback);
+        return callback;
+    },
+
+    disconnect(callback) {
+        this._listeners.delete(callback);
+    },
+
+    emit(store) {
+        for (const callback of this._listeners)
+            callback(store);
+    },
+};
 
 // ==================== WINDOW ORDER STORE ====================
 // Pure bookkeeping for one workspace's window list and its user-defined
 // display order — no actors, no rendering. Listens to the workspace for
 // windows appearing/disappearing and exposes a single `order` array plus
 // a change callback. ThumbnailDisplayModeController and WorkspaceThumbnail
-// are the only things that read from it.
+// read from it; anything else (the D-Bus service) can follow every
+// store's changes through WindowOrderEvents. Every change is handed to
+// WindowOrderPersistence, which also supplies the remembered slot for
+// windows that (re)appear without an explicit insert index.
+//
+// The workspace's sort mode (windowSortModes.js) is applied on top of the
+// manual order: `order` is the sorted view, kept live as focus, titles
+// and apps change, while the manual order underneath stays untouched.
+//
+// With a `monitorIndex` the store only lists the workspace's windows on
+// that monitor, following windows as they move between monitors.
 export class WindowOrderStore {
-    constructor(workspace) {
+    constructor(workspace, settings, monitorIndex = null) {
         this._workspace = workspace;
+        this._settings = settings;
+        this._monitorIndex = monitorIndex;
         this._order = [];
+        this._sortedOrder = [];
+        this._sortMode = getWorkspaceSortMode(settings, workspace.index());
+        this._windowSignalIds = new Map();
         this._pendingInsertIndices = new Map();
         this._addWindowTimeoutIds = new Map();
         this._onOrderChanged = null;
@@ -21,6 +62,27 @@ export class WindowOrderStore {
             if (win.get_workspace() === this._workspace)
                 this._addWindow(win);
         });
+        if (monitorIndex !== null) {
+            this._monitorSignalIds = [
+                Display.connect('window-entered-monitor', (display, monitor, win) => {
+                    if (monitor === this._monitorIndex && win.get_workspace() === this._workspace)
+                        this._addWindow(win);
+                }),
+                Display.connect('window-left-monitor', (display, monitor, win) => {
+                    if (monitor === this._monitorIndex)
+                        this._removeWindow(win);
+                }),
+            ];
+        }
+        this._focusWindowId = Display.connect('notify::focus-window', () => {
+            if (this._sortMode === SortMode.RECENT)
+                this._resort();
+        });
+        this._sortModesChangedId = settings.connect('changed::workspace-sort-modes', () => {
+            const mode = getWorkspaceSortMode(settings, this._workspace.index());
+            if (mode !== this._sortMode)
+                this._resort(mode);
+        });
 
         this._workspace.list_windows().forEach(w => this._addWindow(w));
     }
@@ -29,10 +91,18 @@ export class WindowOrderStore {
         return this._workspace;
     }
 
+    get monitorIndex() {
+        return this._monitorIndex;
+    }
+
     // Current display order. Callers may read this freely but must not
     // mutate it directly — use reorderWindowToIndex()/setPendingInsertIndex().
     get order() {
-        return this._order;
+        return this._sortMode === SortMode.MANUAL ? this._order : this._sortedOrder;
+    }
+
+    get sortMode() {
+        return this._sortMode;
     }
 
     setOnOrderChanged(callback) {
@@ -43,11 +113,20 @@ export class WindowOrderStore {
         if (insertIndex === null)
             return;
 
+        // Dragging in a sorted workspace means the user wants their own
+        // order: adopt what they see as the manual order and stop sorting.
+        if (this._sortMode !== SortMode.MANUAL) {
+            this._order = this._sortedOrder.slice();
+            this._sortMode = SortMode.MANUAL;
+            setWorkspaceSortMode(this._settings, this._workspace.index(), SortMode.MANUAL);
+        }
+
         const currentIndex = this._order.indexOf(window);
         if (currentIndex === -1) {
             if (window.get_workspace() === this._workspace) {
                 const idx = Math.max(0, Math.min(insertIndex, this._order.length));
                 this._order.splice(idx, 0, window);
+                this._connectWindow(window);
                 this._emitOrderChanged();
             }
             return;
@@ -63,6 +142,19 @@ export class WindowOrderStore {
         this._pendingInsertIndices.set(window, index);
     }
 
+    // Puts `window` at `index` of the manual order whether or not it has
+    // been added yet, without leaving the current sort mode.
+    placeWindow(window, index) {
+        const currentIndex = this._order.indexOf(window);
+        if (currentIndex === -1) {
+            this.setPendingInsertIndex(window, index);
+            return;
+        }
+        this._order.splice(currentIndex, 1);
+        this._order.splice(Math.max(0, Math.min(index, this._order.length)), 0, window);
+        this._emitOrderChanged();
+    }
+
     cleanupSources() {
         for (const [, id] of this._addWindowTimeoutIds)
             GLib.Source.remove(id);
@@ -78,10 +170,22 @@ export class WindowOrderStore {
             this._workspace.disconnect(this._windowRemovedId);
         if (this._windowCreatedId)
             Display.disconnect(this._windowCreatedId);
+        for (const id of this._monitorSignalIds ?? [])
+            Display.disconnect(id);
+        if (this._focusWindowId)
+            Display.disconnect(this._focusWindowId);
+        if (this._sortModesChangedId)
+            this._settings.disconnect(this._sortModesChangedId);
+        for (const window of this._windowSignalIds.keys())
+            this._disconnectWindow(window);
+    }
+
+    _isOnMonitor(window) {
+        return this._monitorIndex === null || window.get_monitor() === this._monitorIndex;
     }
 
     _addWindow(window) {
-        if (window.skip_taskbar)
+        if (window.skip_taskbar || !this._isOnMonitor(window))
             return;
 
         if (this._order.includes(window)) {
@@ -97,19 +201,20 @@ export class WindowOrderStore {
         const sourceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, TimeoutDelay, () => {
             this._addWindowTimeoutIds.delete(window);
 
-            if (window.get_workspace() !== this._workspace)
+            if (window.get_workspace() !== this._workspace || !this._isOnMonitor(window))
                 return GLib.SOURCE_REMOVE;
 
             if (!this._order.includes(window)) {
-                if (this._pendingInsertIndices.has(window)) {
-                    const idx = Math.max(
-                        0,
-                        Math.min(this._pendingInsertIndices.get(window), this._order.length)
-                    );
+                const insertIndex = this._pendingInsertIndices.has(window)
+                    ? this._pendingInsertIndices.get(window)
+                    : WindowOrderPersistence.resolveInsertIndex(this._workspace, window, this._order, this._monitorIndex);
+                if (insertIndex !== null) {
+                    const idx = Math.max(0, Math.min(insertIndex, this._order.length));
                     this._order.splice(idx, 0, window);
                 } else {
                     this._order.push(window);
                 }
+                this._connectWindow(window);
             }
 
             this._pendingInsertIndices.delete(window);
@@ -133,10 +238,56 @@ export class WindowOrderStore {
             return;
 
         this._order.splice(idx, 1);
+        this._disconnectWindow(window);
         this._emitOrderChanged();
     }
 
+    // Title and app changes only matter to the sorted view.
+    _connectWindow(window) {
+        if (this._windowSignalIds.has(window))
+            return;
+        const onSortKeyChanged = () => {
+            if (this._sortMode === SortMode.TITLE || this._sortMode === SortMode.APPLICATION)
+                this._resort();
+        };
+        this._windowSignalIds.set(window, [
+            window.connect('notify::title', onSortKeyChanged),
+            window.connect('notify::wm-class', onSortKeyChanged),
+        ]);
+    }
+
+    _disconnectWindow(window) {
+        const ids = this._windowSignalIds.get(window);
+        if (!ids)
+            return;
+        for (const id of ids)
+            window.disconnect(id);
+        this._windowSignalIds.delete(window);
+    }
+
+    _updateSortedOrder() {
+        this._sortedOrder = this._sortMode === SortMode.MANUAL
+            ? []
+            : sortWindows(this._sortMode, this._order);
+    }
+
+    // Re-sorts (optionally switching mode) and notifies only if the visible
+    // order actually changed.
+    _resort(mode = this._sortMode) {
+        const before = this.order.slice();
+        this._sortMode = mode;
+        this._updateSortedOrder();
+        const after = this.order;
+        if (before.length === after.length && before.every((w, i) => w === after[i]))
+            return;
+        this._onOrderChanged?.();
+        WindowOrderEvents.emit(this);
+    }
+
     _emitOrderChanged() {
+        this._updateSortedOrder();
+        WindowOrderPersistence.recordOrder(this._workspace, this._order, this._monitorIndex);
         this._onOrderChanged?.();
+        WindowOrderEvents.emit(this);
     }
 }
\ No newline at end of file
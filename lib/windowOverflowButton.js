@@ -28,7 +28,11 @@ export class WindowOverflowButton extends St.Button {
     }
 
     setCount(count) {
-        this._label.set_text(`▱ ${count}`);
+        this.setLabel(`▱ ${count}`);
+    }
+
+    setLabel(text) {
+        this._label.set_text(text);
     }
 
     _openOverlay() {
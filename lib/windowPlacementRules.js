@@ -0,0 +1,173 @@
+import Meta from 'gi://Meta';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { Display, WindowTracker, WorkspaceManager } from './shellGlobals.js';
+import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
+import { WorkspaceNames } from './workspaceNames.js';
+import { readPlacementRules } from './placementRuleFormat.js';
+import { onWindowFirstFrame } from './windowFirstFrame.js';
+import { journal } from '../utils.js';
+
+const WINDOW_TYPES = {
+    'normal': Meta.WindowType.NORMAL,
+    'dialog': Meta.WindowType.DIALOG,
+    'modal-dialog': Meta.WindowType.MODAL_DIALOG,
+    'utility': Meta.WindowType.UTILITY,
+};
+
+// What a rule matching "any" window type applies to; menus, tooltips and
+// other transient windows are never placed.
+const DEFAULT_WINDOW_TYPES = [Meta.WindowType.NORMAL, Meta.WindowType.DIALOG];
+
+// ==================== WINDOW PLACEMENT RULES ====================
+// Sends newly created windows where the user's rules say they belong
+// (workspace, monitor, slot in the icon order) and optionally minimizes
+// or sticks them. Rules live in GSettings (see placementRuleFormat.js)
+// and are edited in prefs; the first enabled rule that matches wins.
+// Windows are matched on their first frame, when wm_class, app id and
+// title have settled, rather than on `window-created` itself.
+export class WindowPlacementRules {
+    constructor(settings) {
+        this._settings = settings;
+        this._rules = [];
+        this._pendingWindows = new Map(); // Meta.Window -> cancel function
+
+        this._loadRules();
+        this._rulesChangedId = settings.connect('changed::placement-rules', () => this._loadRules());
+        this._windowCreatedId = Display.connect('window-created',
+            (display, window) => this._onWindowCreated(window));
+    }
+
+    _loadRules() {
+        this._rules = [];
+        for (const rule of readPlacementRules(this._settings)) {
+            if (!rule.enabled)
+                continue;
+            let titleRegex = null;
+            if (rule.title) {
+                try {
+                    titleRegex = new RegExp(rule.title);
+                } catch (e) {
+                    journal(`[WindowPlacementRules] Skipping rule "${rule.name}": bad title regex: ${e.message}`, true);
+                    continue;
+                }
+            }
+            this._rules.push({ ...rule, titleRegex });
+        }
+        journal(`[WindowPlacementRules] Loaded ${this._rules.length} enabled rules`);
+    }
+
+    _onWindowCreated(window) {
+        if (this._rules.length === 0)
+            return;
+
+        const cancel = onWindowFirstFrame(window, () => {
+            this._pendingWindows.delete(window);
+            this._placeWindow(window);
+        }, () => this._pendingWindows.delete(window));
+        if (window.get_compositor_private())
+            this._pendingWindows.set(window, cancel);
+    }
+
+    _findRule(window) {
+        const appId = WindowTracker.get_window_app(window)?.get_id() ?? '';
+        const wmClass = window.get_wm_class() ?? '';
+        const title = window.get_title() ?? '';
+
+        return this._rules.find(rule => {
+            if (rule['wm-class'] && rule['wm-class'].toLowerCase() !== wmClass.toLowerCase())
+                return false;
+            if (rule['app-id'] &&
+                rule['app-id'].replace(/\.desktop$/, '') !== appId.replace(/\.desktop$/, ''))
+                return false;
+            if (rule.titleRegex && !rule.titleRegex.test(title))
+                return false;
+            const type = WINDOW_TYPES[rule['window-type']];
+            const types = type === undefined ? DEFAULT_WINDOW_TYPES : [type];
+            if (!types.includes(window.get_window_type()))
+                return false;
+            return true;
+        }) ?? null;
+    }
+
+    _placeWindow(window) {
+        const rule = this._findRule(window);
+        if (!rule)
+            return;
+
+        journal(`[WindowPlacementRules] Rule "${rule.name}" matched "${window.get_title()}"`);
+
+        if (rule.monitor >= 0 && rule.monitor < Main.layoutManager.monitors.length &&
+            rule.monitor !== window.get_monitor())
+            window.move_to_monitor(rule.monitor);
+
+        const workspace = this._resolveWorkspace(rule.workspace) ?? window.get_workspace();
+        const insertIndex = this._resolvePosition(rule.position);
+        if (workspace && insertIndex !== null) {
+            for (const thumb of WorkspaceThumbnailRegistry.getForWorkspace(workspace))
+                thumb.placeWindow(window, insertIndex);
+        }
+        if (workspace && workspace !== window.get_workspace())
+            window.change_workspace(workspace);
+
+        if (rule.sticky)
+            window.stick();
+        if (rule.minimize)
+            window.minimize();
+    }
+
+    // A 1-based number or a workspace name, matched case-insensitively.
+    // A number one past the last workspace appends a workspace; anything
+    // further out (most likely a typo) is ignored rather than creating a
+    // run of empty workspaces for every matching window.
+    _resolveWorkspace(spec) {
+        const trimmed = spec.trim();
+        if (!trimmed)
+            return null;
+
+        if (/^\d+$/.test(trimmed)) {
+            const index = parseInt(trimmed, 10) - 1;
+            if (index < 0)
+                return null;
+            if (index > WorkspaceManager.n_workspaces) {
+                journal(`[WindowPlacementRules] No workspace ${trimmed}, there are ${WorkspaceManager.n_workspaces}`, true);
+                return null;
+            }
+            if (index === WorkspaceManager.n_workspaces)
+                WorkspaceManager.append_new_workspace(false, global.get_current_time());
+            return WorkspaceManager.get_workspace_by_index(index);
+        }
+
+        for (let i = 0; i < WorkspaceManager.n_workspaces; i++) {
+            if (WorkspaceNames.get(i).toLowerCase() === trimmed.toLowerCase())
+                return WorkspaceManager.get_workspace_by_index(i);
+        }
+        journal(`[WindowPlacementRules] No workspace named "${trimmed}"`, true);
+        return null;
+    }
+
+    _resolvePosition(spec) {
+        const trimmed = spec.trim().toLowerCase();
+        if (trimmed === 'start')
+            return 0;
+        if (trimmed === 'end')
+            return Number.MAX_SAFE_INTEGER;
+        if (/^\d+$/.test(trimmed))
+            return Math.max(0, parseInt(trimmed, 10) - 1);
+        return null;
+    }
+
+    destroy() {
+        for (const cancel of this._pendingWindows.values())
+            cancel();
+        this._pendingWindows.clear();
+        if (this._rulesChangedId) {
+            this._settings.disconnect(this._rulesChangedId);
+            this._rulesChangedId = null;
+        }
+        if (this._windowCreatedId) {
+            Display.disconnect(this._windowCreatedId);
+            this._windowCreatedId = null;
+        }
+        this._rules = [];
+    }
+}
\ No newline at end of file
@@ -13,7 +13,7 @@ export const WindowReorderDragController = {
     _placeholder: null,
     _placeholderBox: null,
     _lastInsertion: null, // { box, index }
-    _snapshot: null,      // { box, rects: [{window,x,width,mid,right}] }
+    _snapshot: null,      // { box, rects: [{window,start,size,mid,end}] }
 
     // ---- drag lifecycle (called by WindowIconButton) ----
     beginDrag(sourcePreview) {
@@ -59,11 +59,13 @@ export const WindowReorderDragController = {
     // ONCE per box per drag — the first time this box is asked about.
     // Reused afterwards so our own placeholder's presence (which shifts
     // sibling icons) never feeds back into the next tick's measurement.
-    // This is what prevents the icon-A/icon-B position flicker.
+    // This is what prevents the icon-A/icon-B position flicker. Rects are
+    // one-dimensional, along the box's own axis (Y for vertical boxes).
     _snapshotRects(box, order, draggedWindow) {
         if (this._snapshot && this._snapshot.box === box)
             return this._snapshot.rects;
 
+        const axis = box.vertical ? 1 : 0;
         const rects = [];
         for (const w of order) {
             if (w === draggedWindow)
@@ -71,62 +73,64 @@ export const WindowReorderDragController = {
             const preview = box.get_children().find(c => c._window === w);
             if (!preview || !preview.get_stage())
                 continue;
-            const [x] = preview.get_transformed_position();
-            const [width] = preview.get_transformed_size();
-            rects.push({ window: w, x, width, mid: x + width / 2, right: x + width });
+            const start = preview.get_transformed_position()[axis];
+            const size = preview.get_transformed_size()[axis];
+            rects.push({ window: w, start, size, mid: start + size / 2, end: start + size });
         }
         this._snapshot = { box, rects };
         return rects;
     },
 
-    // Single source of truth for "given this pointer X over this box,
-    // where should the dragged window land?" Used by both the empty-space
-    // hover path and the icon-to-icon hover path.
-    computeInsertionFromPointer(draggedWindow, order, pointerX, box) {
+    // Single source of truth for "given this pointer position over this
+    // box, where should the dragged window land?" Used by both the
+    // empty-space hover path and the icon-to-icon hover path. `pointer` is
+    // the stage [x, y]; only the coordinate along the box's axis counts.
+    computeInsertionFromPointer(draggedWindow, order, pointer, box) {
         const rects = this._snapshotRects(box, order, draggedWindow);
         if (rects.length === 0)
             return { insertIndex: 0 };
 
+        const position = pointer[box.vertical ? 1 : 0];
         const first = rects[0];
         const last = rects[rects.length - 1];
         let target = null;
         let insertBefore = true;
 
-        if (pointerX < first.x) {
+        if (position < first.start) {
             target = first;
             insertBefore = true;
-        } else if (pointerX >= last.right) {
+        } else if (position >= last.end) {
             target = last;
             insertBefore = false;
         } else {
             for (const r of rects) {
-                if (pointerX >= r.x && pointerX < r.right) {
+                if (position >= r.start && position < r.end) {
                     target = r;
-                    insertBefore = pointerX < r.mid;
+                    insertBefore = position < r.mid;
                     break;
                 }
             }
             if (!target) {
                 for (let i = 0; i < rects.length - 1; i++) {
-                    const left = rects[i], right = rects[i + 1];
-                    if (pointerX >= left.right && pointerX <= right.x) {
-                        const distanceToLeft = pointerX - left.right;
-                        const distanceToRight = right.x - pointerX;
-                        target = distanceToLeft <= distanceToRight ? left : right;
-                        insertBefore = target === right;
+                    const before = rects[i], after = rects[i + 1];
+                    if (position >= before.end && position <= after.start) {
+                        const distanceToBefore = position - before.end;
+                        const distanceToAfter = after.start - position;
+                        target = distanceToBefore <= distanceToAfter ? before : after;
+                        insertBefore = target === after;
                         break;
                     }
                 }
             }
             if (!target) {
                 let nearest = rects[0];
-                let best = Math.abs(pointerX - nearest.mid);
+                let best = Math.abs(position - nearest.mid);
                 for (const r of rects) {
-                    const d = Math.abs(pointerX - r.mid);
+                    const d = Math.abs(position - r.mid);
                     if (d < best) { best = d; nearest = r; }
                 }
                 target = nearest;
-                insertBefore = pointerX < nearest.mid;
+                insertBefore = position < nearest.mid;
             }
         }
 
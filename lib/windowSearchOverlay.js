@@ -1,27 +1,105 @@
 import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
 import St from 'gi://St';
 import Shell from 'gi://Shell';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
-import { fuzzyMatch } from './fuzzySearch.js';
+import { ensureActorVisibleInScrollView } from 'resource:///org/gnome/shell/misc/animationUtils.js';
+import { fuzzyMatch, sliceRanges } from './fuzzySearch.js';
 import { createClonePreviewActor } from './clonePreviewActor.js';
-import { WindowTracker } from './shellGlobals.js';
+import { Display, WindowTracker, WorkspaceManager } from './shellGlobals.js';
+import { NewWorkspaceDropZoneRegistry } from './newWorkspaceDropZone.js';
+import { SearchFrecency } from './searchFrecency.js';
+import { WorkspaceNames } from './workspaceNames.js';
 import { journal } from '../utils.js';
 
+// `ws:name` or `@name` in the query keeps only windows on workspaces whose
+// name contains `name` (or whose 1-based number is `name`).
+const WORKSPACE_FILTER_RE = /^(?:ws:|@)(.*)$/i;
+
+const FOOTER_HINT = 'Enter open  ·  Shift+Enter bring here  ·  Space mark  ·  ' +
+    'Ctrl+W close  ·  Ctrl+M minimize  ·  Alt+1…9 move to workspace  ·  Tab grid/list  ·  Esc cancel';
+
+// Grid view: tiles never get smaller than this; past that the grid scrolls.
+const GRID_MIN_TILE_HEIGHT = 180;
+const GRID_SPACING = 16;
+
+// Separates title and app name in the string the query is matched
+// against, so match ranges can be split back per field.
+const LABEL_SEPARATOR = ' — ';
+
+// Used when the theme has no `-match-highlight-color` on
+// `.collection-results-box`.
+const FALLBACK_MATCH_HIGHLIGHT_COLOR = '#cb4b16';
+
+// Pango markup for `text` with `ranges` highlighted in `color`.
+function highlightMarkup(text, ranges, color) {
+    let markup = '';
+    let position = 0;
+    for (const [start, end] of ranges) {
+        markup += GLib.markup_escape_text(text.slice(position, start), -1);
+        markup += `<span weight="bold" foreground="${color}">${GLib.markup_escape_text(text.slice(start, end), -1)}</span>`;
+        position = end;
+    }
+    return markup + GLib.markup_escape_text(text.slice(position), -1);
+}
+
+// Splits the query into workspace filters and the text to fuzzy-match.
+function parseQuery(query) {
+    const workspaceFilters = [];
+    const text = [];
+    for (const token of query.trim().split(/\s+/)) {
+        const match = token.match(WORKSPACE_FILTER_RE);
+        if (match) {
+            if (match[1])
+                workspaceFilters.push(match[1].toLowerCase());
+        } else if (token) {
+            text.push(token);
+        }
+    }
+    return { workspaceFilters, text: text.join(' ') };
+}
+
+// ==================== WINDOW SEARCH OVERLAY ====================
+// Full-monitor search over a list of windows: fuzzy filter, live preview
+// of the selected result, Enter or click to activate, drag a result onto
+// a thumbnail to move it. Opened by the overflow buttons for one
+// workspace's windows, and by the window switcher keybinding over every
+// window with `showWorkspaces`, which labels each result with its
+// workspace. Opens on the monitor under the pointer. Tab (or the button
+// beside the search entry) swaps the list and preview for an exposé-style
+// grid of live clones of the same results (`grid` opens it that way).
+// Space marks rows; the keyboard commands in FOOTER_HINT act on every
+// marked row, or on the selected one when none is marked.
 export class WindowSearchOverlay {
-    constructor(windows, settings) {
+    constructor(windows, settings, { showWorkspaces = false, query = '', grid = false } = {}) {
         journal(`[WindowSearchOverlay] Opening with ${windows.length} windows`);
         this._windows = windows;
         this._settings = settings;
+        this._showWorkspaces = showWorkspaces;
         this._results = [];
         this._resultButtons = [];
+        this._gridTiles = [];
+        this._gridMode = false;
+        this._gridColumns = 1;
         this._selectedIndex = -1;
+        this._marked = new Set(); // Meta.Window
         this._previewClone = null;
         this._modalGrab = null;
         this._closed = false;
         this._buildUI();
-        this._setResults(this._getAllResultsSorted());
+        // Open first: the results read their highlight color from the
+        // theme, which needs them on stage.
         this._open();
+        this._setResults(this._getAllResultsSorted());
+        if (query)
+            this._entry.set_text(query);
+        if (grid)
+            this._toggleGrid();
+    }
+
+    get closed() {
+        return this._closed;
     }
 
     _getAppName(window) {
@@ -29,15 +107,36 @@ export class WindowSearchOverlay {
         return app ? app.get_name() : (window.get_wm_class() || 'Unknown');
     }
 
+    // Windows on all workspaces have no workspace of their own; they sort
+    // after the numbered ones.
+    _getWorkspaceIndex(window) {
+        return window.is_on_all_workspaces()
+            ? WorkspaceManager.n_workspaces
+            : window.get_workspace()?.index() ?? WorkspaceManager.n_workspaces;
+    }
+
+    _getWorkspaceName(workspaceIndex) {
+        return workspaceIndex < WorkspaceManager.n_workspaces
+            ? WorkspaceNames.get(workspaceIndex)
+            : 'All workspaces';
+    }
+
     _getAllResultsSorted() {
         const items = this._windows
             .filter(w => w && !w.skip_taskbar)
-            .map(w => ({
-                window: w,
-                title: w.get_title() || 'Untitled Window',
-                appName: this._getAppName(w),
-            }));
+            .map(w => {
+                const workspaceIndex = this._getWorkspaceIndex(w);
+                return {
+                    window: w,
+                    title: w.get_title() || 'Untitled Window',
+                    appName: this._getAppName(w),
+                    workspaceIndex,
+                    workspaceName: this._getWorkspaceName(workspaceIndex),
+                };
+            });
         items.sort((a, b) => {
+            if (this._showWorkspaces && a.workspaceIndex !== b.workspaceIndex)
+                return a.workspaceIndex - b.workspaceIndex;
             const appCompare = a.appName.localeCompare(b.appName);
             if (appCompare !== 0)
                 return appCompare;
@@ -47,7 +146,8 @@ export class WindowSearchOverlay {
     }
 
     _buildUI() {
-        const monitor = Main.layoutManager.primaryMonitor;
+        const monitor = Main.layoutManager.monitors[Display.get_current_monitor()] ??
+            Main.layoutManager.primaryMonitor;
         this._container = new St.Widget({
             style_class: 'window-collection-overlay',
             reactive: true,
@@ -61,21 +161,26 @@ export class WindowSearchOverlay {
         const margin = 40;
         const entryHeight = 60;
         const entryGap = 20;
+        const footerHeight = 36;
         const panelWidth = monitor.width - margin * 2;
         const panelX = monitor.x + margin;
         const entryY = monitor.y + margin;
         const panelTop = entryY + entryHeight + entryGap;
-        const panelHeight = monitor.height - (panelTop - monitor.y) - margin;
+        const panelHeight = monitor.height - (panelTop - monitor.y) - margin - footerHeight;
+        const toggleGap = 12;
+        const entryWidth = panelWidth - entryHeight - toggleGap;
         const resultsWidth = Math.round(panelWidth * 0.32);
         const previewWidth = panelWidth - resultsWidth - 20;
 
         this._entry = new St.Entry({
             style_class: 'collection-search-entry',
-            hint_text: 'Search windows…',
+            hint_text: this._showWorkspaces
+                ? 'Search all windows… (ws:name or @name filters by workspace)'
+                : 'Search windows…',
             can_focus: true,
             x: panelX,
             y: entryY,
-            width: panelWidth,
+            width: entryWidth,
             height: entryHeight,
         });
         this._entry.set_style(`font-size: ${this._settings.get_int('collection-search-font-size')}pt;`);
@@ -104,9 +209,56 @@ export class WindowSearchOverlay {
             height: panelHeight,
         });
 
+        this._viewToggle = new St.Button({
+            style_class: 'collection-view-toggle',
+            child: new St.Icon({ icon_name: 'view-grid-symbolic' }),
+            x: panelX + entryWidth + toggleGap,
+            y: entryY,
+            width: entryHeight,
+            height: entryHeight,
+            can_focus: false,
+        });
+        this._viewToggle.connect('clicked', () => {
+            this._toggleGrid();
+            this._entry.grab_key_focus();
+        });
+
+        this._gridScroll = new St.ScrollView({
+            style_class: 'collection-grid-scroll',
+            x: panelX,
+            y: panelTop,
+            width: panelWidth,
+            height: panelHeight,
+            visible: false,
+        });
+        this._gridScroll.set_policy(St.PolicyType.NEVER, St.PolicyType.AUTOMATIC);
+        this._gridLayout = new Clutter.GridLayout({
+            column_spacing: GRID_SPACING,
+            row_spacing: GRID_SPACING,
+        });
+        this._gridBox = new St.Widget({
+            style_class: 'collection-grid-box',
+            layout_manager: this._gridLayout,
+            x_expand: true,
+        });
+        this._gridScroll.set_child(this._gridBox);
+
+        this._footer = new St.Label({
+            style_class: 'collection-shortcut-footer',
+            text: FOOTER_HINT,
+            x: panelX,
+            y: panelTop + panelHeight,
+            width: panelWidth,
+            height: footerHeight,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+
         this._container.add_child(this._entry);
         this._container.add_child(this._resultsScroll);
         this._container.add_child(this._previewBox);
+        this._container.add_child(this._viewToggle);
+        this._container.add_child(this._gridScroll);
+        this._container.add_child(this._footer);
 
         this._entryChangedId = this._entry.clutter_text.connect('text-changed',
             () => this._onSearchChanged());
@@ -126,7 +278,8 @@ export class WindowSearchOverlay {
         this._entry.grab_key_focus();
     }
 
-    _close() {
+    // Also called by owners tearing down while it is open.
+    close() {
         if (this._closed) return;
         this._closed = true;
         journal(`[WindowSearchOverlay] Closing`);
@@ -145,33 +298,63 @@ export class WindowSearchOverlay {
 
     _onSearchChanged() {
         if (this._closed) return;
-        const query = this._entry.get_text();
-        const all = this._getAllResultsSorted();
-        if (!query.trim()) {
+        const { workspaceFilters, text: query } = parseQuery(this._entry.get_text());
+        const all = this._getAllResultsSorted().filter(item =>
+            workspaceFilters.every(filter => this._matchesWorkspace(item, filter)));
+        if (!query) {
             this._setResults(all);
             return;
         }
         const scored = [];
         for (const item of all) {
-            const label = `${item.title} — ${item.appName}`;
+            const label = `${item.title}${LABEL_SEPARATOR}${item.appName}`;
             const result = fuzzyMatch(query, label);
-            if (result.matched)
-                scored.push({ ...item, score: result.score });
+            if (!result.matched)
+                continue;
+            const appOffset = item.title.length + LABEL_SEPARATOR.length;
+            scored.push({
+                ...item,
+                score: result.score + SearchFrecency.boost(query, item.window),
+                titleRanges: sliceRanges(result.ranges, 0, item.title.length),
+                appRanges: sliceRanges(result.ranges, appOffset, item.appName.length),
+            });
         }
         scored.sort((a, b) => b.score - a.score);
         this._setResults(scored);
     }
 
+    _matchesWorkspace(item, filter) {
+        if (/^\d+$/.test(filter))
+            return item.workspaceIndex + 1 === parseInt(filter, 10);
+        return item.workspaceName.toLowerCase().includes(filter);
+    }
+
+    // Pango markup can't use style classes, so the stylesheet provides
+    // the color as a custom property.
+    _matchHighlightColor() {
+        const [found, color] = this._resultsBox.get_theme_node()
+            .lookup_color('-match-highlight-color', false);
+        return found ? color.to_string().slice(0, 7) : FALLBACK_MATCH_HIGHLIGHT_COLOR;
+    }
+
     _setResults(results) {
         this._results = results;
         this._resultsBox.destroy_all_children();
         this._resultButtons = [];
         this._selectedIndex = -1;
 
-        results.forEach((item, index) => {
+        const color = this._matchHighlightColor();
+        results.forEach(item => {
+            let markup = `${highlightMarkup(item.title, item.titleRanges ?? [], color)}  —  ` +
+                highlightMarkup(item.appName, item.appRanges ?? [], color);
+            if (this._showWorkspaces)
+                markup += `  ·  ${GLib.markup_escape_text(item.workspaceName, -1)}`;
+            const label = new St.Label();
+            label.clutter_text.set_markup(markup);
+
             const button = new St.Button({
                 style_class: 'collection-result-item',
-                label: `${item.title}  —  ${item.appName}`,
+                child: label,
                 x_expand: true,
                 x_align: Clutter.ActorAlign.START,
                 track_hover: true,
@@ -186,30 +369,126 @@ export class WindowSearchOverlay {
             button._draggable = draggable;
             draggable.connect('drag-begin', () => this._onResultDragBegin(button));
 
-            button.connect('clicked', () => this._activateResult(index));
+            button.connect('clicked', () => this._activateResult(this._indexOf(item.window)));
             button.connect('notify::hover', () => {
                 if (button.hover)
-                    this._selectIndex(index);
+                    this._selectIndex(this._indexOf(item.window));
             });
 
+            if (this._marked.has(item.window))
+                button.add_style_class_name('marked');
+
             this._resultsBox.add_child(button);
             this._resultButtons.push(button);
         });
 
+        if (this._gridMode)
+            this._rebuildGrid();
+
         if (results.length > 0)
             this._selectIndex(0);
         else
             this._clearPreview();
     }
 
+    // Rows (and tiles) move when others are removed, so handlers look
+    // their window up rather than capturing an index.
+    _indexOf(window) {
+        return this._results.findIndex(item => item.window === window);
+    }
+
+    _toggleGrid() {
+        this._gridMode = !this._gridMode;
+        journal(`[WindowSearchOverlay] Switching to the ${this._gridMode ? 'grid' : 'list'} view`);
+        this._viewToggle.child.icon_name = this._gridMode ? 'view-list-symbolic' : 'view-grid-symbolic';
+        this._resultsScroll.visible = !this._gridMode;
+        this._previewBox.visible = !this._gridMode;
+        this._gridScroll.visible = this._gridMode;
+
+        const selected = this._selectedIndex;
+        if (this._gridMode) {
+            this._clearPreview();
+            this._rebuildGrid();
+        } else {
+            this._destroyGrid();
+        }
+        this._selectedIndex = -1;
+        this._selectIndex(Math.max(0, selected));
+    }
+
+    _destroyGrid() {
+        this._gridBox.destroy_all_children();
+        this._gridTiles = [];
+    }
+
+    // Lays the results out in the most square grid that fits; tiles keep
+    // their window's aspect ratio inside equal cells.
+    _rebuildGrid() {
+        this._destroyGrid();
+        const count = this._results.length;
+        if (count === 0)
+            return;
+
+        const [width, height] = [this._gridScroll.width, this._gridScroll.height];
+        const columns = Math.max(1, Math.ceil(Math.sqrt(count * width / height * 9 / 16)));
+        const rows = Math.ceil(count / columns);
+        const cellWidth = (width - GRID_SPACING * (columns - 1)) / columns;
+        const cellHeight = Math.max(GRID_MIN_TILE_HEIGHT,
+            (height - GRID_SPACING * (rows - 1)) / rows);
+        this._gridColumns = columns;
+
+        this._results.forEach((item, index) => {
+            const frame = item.window.get_frame_rect();
+            const aspect = frame.height > 0 ? frame.width / frame.height : 16 / 9;
+            const tileHeight = Math.min(cellHeight, cellWidth / aspect);
+            const built = createClonePreviewActor(item.window, tileHeight, {
+                onClose: win => this._closeWindowFromPreview(win),
+                closeButtonSize: Math.min(this._settings.get_int('close-button-size'), tileHeight / 4),
+                titleFontSize: this._settings.get_int('clone-title-font-size'),
+            });
+
+            const tile = new St.Button({
+                style_class: 'collection-grid-tile',
+                child: built?.actor ?? new St.Label({ text: item.title }),
+                width: cellWidth,
+                height: cellHeight,
+                track_hover: true,
+            });
+            tile._delegate = tile;
+            tile.realWindow = item.window.get_compositor_private();
+            tile._draggable = DND.makeDraggable(tile, { restoreOnSuccess: false });
+            tile._draggable.connect('drag-begin', () => this._onResultDragBegin(tile));
+            tile.connect('clicked', () => this._activateResult(this._indexOf(item.window)));
+            tile.connect('notify::hover', () => {
+                if (tile.hover)
+                    this._selectIndex(this._indexOf(item.window));
+            });
+            if (this._marked.has(item.window))
+                tile.add_style_class_name('marked');
+
+            this._gridLayout.attach(tile, index % columns, Math.floor(index / columns), 1, 1);
+            this._gridTiles.push(tile);
+        });
+    }
+
     _selectIndex(index) {
         if (this._closed) return;
         if (index < 0 || index >= this._results.length)
             return;
-        if (this._selectedIndex >= 0 && this._resultButtons[this._selectedIndex])
-            this._resultButtons[this._selectedIndex].remove_style_class_name('selected');
+        if (this._selectedIndex >= 0) {
+            this._resultButtons[this._selectedIndex]?.remove_style_class_name('selected');
+            this._gridTiles[this._selectedIndex]?.remove_style_class_name('selected');
+        }
         this._selectedIndex = index;
         this._resultButtons[index]?.add_style_class_name('selected');
+        if (this._gridMode) {
+            const tile = this._gridTiles[index];
+            if (tile) {
+                tile.add_style_class_name('selected');
+                ensureActorVisibleInScrollView(this._gridScroll, tile);
+            }
+            return;
+        }
         this._updatePreview(this._results[index].window);
     }
 
@@ -256,21 +535,33 @@ export class WindowSearchOverlay {
         if (this._closed) return;
         journal(`[WindowSearchOverlay] Closing window from preview: ${window.title}`);
         window.delete(global.get_current_time());
+        this._removeResults([window]);
+    }
 
-        const closedIndex = this._results.findIndex(item => item.window === window);
-        if (closedIndex === -1)
+    _removeResults(windows) {
+        const removed = new Set(windows);
+        const firstIndex = this._results.findIndex(item => removed.has(item.window));
+        if (firstIndex === -1)
             return;
 
-        this._results.splice(closedIndex, 1);
-        this._windows = this._windows.filter(w => w !== window);
-
-        const button = this._resultButtons[closedIndex];
-        if (button) {
-            if (button.get_parent() === this._resultsBox)
-                this._resultsBox.remove_child(button);
-            button.destroy();
+        this._windows = this._windows.filter(w => !removed.has(w));
+        for (const window of removed)
+            this._marked.delete(window);
+        for (let i = this._results.length - 1; i >= 0; i--) {
+            if (!removed.has(this._results[i].window))
+                continue;
+            this._results.splice(i, 1);
+            const [button] = this._resultButtons.splice(i, 1);
+            if (button) {
+                if (button.get_parent() === this._resultsBox)
+                    this._resultsBox.remove_child(button);
+                button.destroy();
+            }
         }
-        this._resultButtons.splice(closedIndex, 1);
+        // The grid is re-laid out rather than patched: removing a tile
+        // shifts every later one to a new cell.
+        if (this._gridMode)
+            this._rebuildGrid();
 
         if (this._results.length === 0) {
             this._selectedIndex = -1;
@@ -278,11 +569,95 @@ export class WindowSearchOverlay {
             return;
         }
 
-        const nextIndex = Math.min(closedIndex, this._results.length - 1);
+        const nextIndex = Math.min(firstIndex, this._results.length - 1);
         this._selectedIndex = -1;
         this._selectIndex(nextIndex);
     }
 
+    // Marked windows still listed, or else the selected one.
+    _targetWindows() {
+        const marked = this._results.filter(item => this._marked.has(item.window));
+        if (marked.length > 0)
+            return marked.map(item => item.window);
+        const selected = this._results[this._selectedIndex];
+        return selected ? [selected.window] : [];
+    }
+
+    _toggleMarked() {
+        const item = this._results[this._selectedIndex];
+        if (!item)
+            return;
+        const actors = [this._resultButtons[this._selectedIndex], this._gridTiles[this._selectedIndex]];
+        if (this._marked.delete(item.window)) {
+            actors.forEach(actor => actor?.remove_style_class_name('marked'));
+        } else {
+            this._marked.add(item.window);
+            actors.forEach(actor => actor?.add_style_class_name('marked'));
+        }
+        if (this._selectedIndex < this._results.length - 1)
+            this._selectIndex(this._selectedIndex + 1);
+    }
+
+    _closeTargets() {
+        const windows = this._targetWindows();
+        journal(`[WindowSearchOverlay] Closing ${windows.length} windows`);
+        const time = global.get_current_time();
+        for (const window of windows)
+            window.delete(time);
+        this._removeResults(windows);
+    }
+
+    _minimizeTargets() {
+        const windows = this._targetWindows();
+        journal(`[WindowSearchOverlay] Minimizing ${windows.length} windows`);
+        for (const window of windows) {
+            if (window.can_minimize())
+                window.minimize();
+        }
+    }
+
+    // Moves the targets to workspace `index`, creating workspaces up to it
+    // if needed, and refreshes the rows so workspace labels and filters
+    // follow.
+    _moveTargetsToWorkspace(index) {
+        const windows = this._targetWindows();
+        if (windows.length === 0)
+            return;
+        journal(`[WindowSearchOverlay] Moving ${windows.length} windows to workspace ${index}`);
+        while (WorkspaceManager.n_workspaces <= index)
+            WorkspaceManager.append_new_workspace(false, global.get_current_time());
+        const workspace = WorkspaceManager.get_workspace_by_index(index);
+        for (const window of windows)
+            window.change_workspace(workspace);
+        this._refreshResults();
+    }
+
+    _bringTargetsHere() {
+        const windows = this._targetWindows();
+        if (windows.length === 0)
+            return;
+        journal(`[WindowSearchOverlay] Bringing ${windows.length} windows to the current workspace`);
+        const workspace = WorkspaceManager.get_active_workspace();
+        const time = global.get_current_time();
+        SearchFrecency.recordActivation(parseQuery(this._entry.get_text()).text, windows[0]);
+        for (const window of windows) {
+            if (!window.is_on_all_workspaces())
+                window.change_workspace(workspace);
+            if (window.minimized)
+                window.unminimize();
+        }
+        workspace.activate_with_focus(windows[0], time);
+        this.close();
+    }
+
+    _refreshResults() {
+        const selected = this._results[this._selectedIndex]?.window;
+        this._onSearchChanged();
+        const index = this._results.findIndex(item => item.window === selected);
+        if (index > 0)
+            this._selectIndex(index);
+    }
+
     _activateResult(index) {
         if (this._closed) return;
         const item = this._results[index];
@@ -290,10 +665,12 @@ export class WindowSearchOverlay {
             return;
         const window = item.window;
         journal(`[WindowSearchOverlay] Activating: ${window.title}`);
+        SearchFrecency.recordActivation(parseQuery(this._entry.get_text()).text, window);
         if (window.minimized)
             window.unminimize();
-        window.get_workspace().activate_with_focus(window, global.get_current_time());
-        this._close();
+        const workspace = window.get_workspace() ?? WorkspaceManager.get_active_workspace();
+        workspace.activate_with_focus(window, global.get_current_time());
+        this.close();
     }
 
     _onResultDragBegin(button) {
@@ -301,6 +678,7 @@ export class WindowSearchOverlay {
             return;
         this._closed = true;
         journal(`[WindowSearchOverlay] Drag started on result — closing overlay, drag continues`);
+        NewWorkspaceDropZoneRegistry.showAll();
         this._clearPreview();
         if (this._modalGrab) {
             Main.popModal(this._modalGrab);
@@ -316,12 +694,14 @@ export class WindowSearchOverlay {
 
         const draggable = button._draggable;
         if (!draggable) {
+            NewWorkspaceDropZoneRegistry.hideAll();
             this._container.destroy();
             return;
         }
 
         const endId = draggable.connect('drag-end', () => {
             draggable.disconnect(endId);
+            NewWorkspaceDropZoneRegistry.hideAll();
             journal(`[WindowSearchOverlay] Drag finished, disposing overlay`);
             this._container.destroy();
         });
@@ -330,21 +710,62 @@ export class WindowSearchOverlay {
     _onKeyPress(event) {
         if (this._closed) return Clutter.EVENT_PROPAGATE;
         const symbol = event.get_key_symbol();
+        const state = event.get_state();
+        const ctrl = (state & Clutter.ModifierType.CONTROL_MASK) !== 0;
+        const alt = (state & Clutter.ModifierType.MOD1_MASK) !== 0;
+        const shift = (state & Clutter.ModifierType.SHIFT_MASK) !== 0;
+
+        if (alt && symbol >= Clutter.KEY_1 && symbol <= Clutter.KEY_9) {
+            this._moveTargetsToWorkspace(symbol - Clutter.KEY_1);
+            return Clutter.EVENT_STOP;
+        }
+        if (ctrl && (symbol === Clutter.KEY_w || symbol === Clutter.KEY_W)) {
+            this._closeTargets();
+            return Clutter.EVENT_STOP;
+        }
+        if (ctrl && (symbol === Clutter.KEY_m || symbol === Clutter.KEY_M)) {
+            this._minimizeTargets();
+            return Clutter.EVENT_STOP;
+        }
+
+        // In the grid, Up/Down move by a row and Left/Right by a tile.
+        const rowStep = this._gridMode ? this._gridColumns : 1;
         switch (symbol) {
             case Clutter.KEY_Escape:
-                this._close();
+                this.close();
+                return Clutter.EVENT_STOP;
+            case Clutter.KEY_Tab:
+            case Clutter.KEY_ISO_Left_Tab:
+                this._toggleGrid();
                 return Clutter.EVENT_STOP;
             case Clutter.KEY_Down:
-                if (this._selectedIndex < this._results.length - 1)
-                    this._selectIndex(this._selectedIndex + 1);
+                if (this._selectedIndex + rowStep < this._results.length)
+                    this._selectIndex(this._selectedIndex + rowStep);
                 return Clutter.EVENT_STOP;
             case Clutter.KEY_Up:
-                if (this._selectedIndex > 0)
-                    this._selectIndex(this._selectedIndex - 1);
+                if (this._selectedIndex - rowStep >= 0)
+                    this._selectIndex(this._selectedIndex - rowStep);
+                return Clutter.EVENT_STOP;
+            case Clutter.KEY_Left:
+            case Clutter.KEY_Right:
+                if (!this._gridMode)
+                    return Clutter.EVENT_PROPAGATE;
+                this._selectIndex(this._selectedIndex + (symbol === Clutter.KEY_Left ? -1 : 1));
+                return Clutter.EVENT_STOP;
+            case Clutter.KEY_space: {
+                // Spaces also separate query tokens; a space only marks when
+                // it wouldn't change the query.
+                const text = this._entry.get_text();
+                if (text.trim() && !/\s$/.test(text))
+                    return Clutter.EVENT_PROPAGATE;
+                this._toggleMarked();
                 return Clutter.EVENT_STOP;
+            }
             case Clutter.KEY_Return:
             case Clutter.KEY_KP_Enter:
-                if (this._selectedIndex >= 0)
+                if (shift)
+                    this._bringTargetsHere();
+                else if (this._selectedIndex >= 0)
                     this._activateResult(this._selectedIndex);
                 return Clutter.EVENT_STOP;
             default:
@@ -0,0 +1,85 @@
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+import { Display, WindowTracker } from './shellGlobals.js';
+
+const SETTINGS_KEY = 'workspace-sort-modes';
+
+export const SortMode = {
+    MANUAL: 'manual',
+    APPLICATION: 'application',
+    CREATION: 'creation',
+    RECENT: 'recent',
+    TITLE: 'title',
+};
+
+// Menu order and labels for ThumbnailActionMenu.
+export const SORT_MODE_LABELS = [
+    [SortMode.MANUAL, 'Manual (drag to reorder)'],
+    [SortMode.APPLICATION, 'Group by application'],
+    [SortMode.CREATION, 'Creation order'],
+    [SortMode.RECENT, 'Most recently focused'],
+    [SortMode.TITLE, 'Alphabetical by title'],
+];
+
+// ==================== WINDOW SORT MODES ====================
+// Per-workspace automatic icon ordering. The mode is stored in GSettings
+// keyed by workspace index; WindowOrderStore applies it on top of its
+// manual order, so switching back to "manual" restores the drag order.
+
+export function getWorkspaceSortMode(settings, workspaceIndex) {
+    const modes = settings.get_value(SETTINGS_KEY).deep_unpack();
+    const mode = modes[`${workspaceIndex}`];
+    return Object.values(SortMode).includes(mode) ? mode : SortMode.MANUAL;
+}
+
+export function setWorkspaceSortMode(settings, workspaceIndex, mode) {
+    const modes = settings.get_value(SETTINGS_KEY).deep_unpack();
+    if (mode === SortMode.MANUAL)
+        delete modes[`${workspaceIndex}`];
+    else
+        modes[`${workspaceIndex}`] = mode;
+    settings.set_value(SETTINGS_KEY, new GLib.Variant('a{ss}', modes));
+}
+
+// Keeps modes with their workspace when indices shift; see
+// WorkspaceOperations. `remapFn(oldIndex)` returns -1 for a removed one.
+export function remapWorkspaceSortModes(settings, remapFn) {
+    const modes = settings.get_value(SETTINGS_KEY).deep_unpack();
+    const remapped = {};
+    for (const [key, mode] of Object.entries(modes)) {
+        const newIndex = remapFn(parseInt(key, 10));
+        if (newIndex >= 0)
+            remapped[`${newIndex}`] = mode;
+    }
+    if (JSON.stringify(remapped) !== JSON.stringify(modes))
+        settings.set_value(SETTINGS_KEY, new GLib.Variant('a{ss}', remapped));
+}
+
+function appName(window) {
+    const app = WindowTracker.get_window_app(window);
+    return app ? app.get_name() : (window.get_wm_class() ?? '');
+}
+
+// Returns a sorted copy of `windows`, which is expected to be in manual
+// order — every mode falls back to it for ties.
+export function sortWindows(mode, windows) {
+    const sorted = windows.slice();
+    switch (mode) {
+        case SortMode.APPLICATION:
+            return sorted.sort((a, b) => appName(a).localeCompare(appName(b)));
+        case SortMode.CREATION:
+            return sorted.sort((a, b) => a.get_stable_sequence() - b.get_stable_sequence());
+        case SortMode.RECENT: {
+            const mru = Display.get_tab_list(Meta.TabList.NORMAL_ALL, null);
+            const rank = w => {
+                const idx = mru.indexOf(w);
+                return idx === -1 ? mru.length : idx;
+            };
+            return sorted.sort((a, b) => rank(a) - rank(b));
+        }
+        case SortMode.TITLE:
+            return sorted.sort((a, b) => (a.get_title() ?? '').localeCompare(b.get_title() ?? ''));
+        default:
+            return sorted;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { Display } from './shellGlobals.js';
+import { WindowSearchOverlay } from './windowSearchOverlay.js';
+import { journal } from '../utils.js';
+
+const KEYBINDING = 'window-switcher-keybinding';
+
+// ==================== WINDOW SWITCHER KEYBINDING ====================
+// Global shortcut (`window-switcher-keybinding`) that opens the search
+// overlay over every window on every workspace, each result labelled with
+// its workspace. Pressing it again while the overlay is open does nothing.
+export class WindowSwitcherKeybinding {
+    constructor(settings) {
+        this._settings = settings;
+        this._overlay = null;
+
+        Main.wm.addKeybinding(KEYBINDING, settings, Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => this.open());
+    }
+
+    // Also used by the D-Bus service, which may pass a starting query.
+    open(query = '') {
+        if (this._overlay && !this._overlay.closed)
+            return;
+        if (Main.overview.visible)
+            Main.overview.hide();
+
+        const windows = Display.get_tab_list(Meta.TabList.NORMAL, null);
+        journal(`[WindowSwitcherKeybinding] Opening the switcher over ${windows.length} windows`);
+        this._overlay = new WindowSearchOverlay(windows, this._settings, { showWorkspaces: true, query });
+    }
+
+    destroy() {
+        Main.wm.removeKeybinding(KEYBINDING);
+        this._overlay?.close();
+        this._overlay = null;
+    }
+}
\ No newline at end of file
@@ -1,15 +1,16 @@
 import St from 'gi://St';
 import Clutter from 'gi://Clutter';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
-import { screenWidth, screenHeight, TimeoutDelay } from './shellGlobals.js';
+import { PopupPositioner } from './popupPositioner.js';
+import { TimeoutDelay } from './shellGlobals.js';
 import { journal } from '../utils.js';
 
 export class WindowTitlePopup {
     constructor(anchorActor, window, settings, { onHoverChange } = {}) {
-        this._anchor = anchorActor;
         this._window = window;
         this._settings = settings;
         this._onHoverChange = onHoverChange ?? (() => { });
+        this._positioner = new PopupPositioner(anchorActor);
         this._popupActor = null;
         this._isShowing = false;
         this._hoverSignalId = null;
@@ -38,17 +39,7 @@ export class WindowTitlePopup {
 
         Main.layoutManager.addChrome(label);
 
-        const [iconX] = this._anchor.get_transformed_position();
-        const iconWidth = this._anchor.width;
-        const padding = 10;
-        const maxWidth = screenWidth - (2 * padding);
-        const labelWidth = Math.min(label.width, maxWidth);
-        let labelX = iconX + (iconWidth - labelWidth) / 2;
-        labelX = Math.max(padding, labelX);
-        labelX = Math.min(labelX, screenWidth - labelWidth - padding);
-        const labelY = screenHeight - 200;
-
-        label.set_position(labelX, labelY);
+        this._positioner.place(label);
         this._popupActor = label;
 
         label.opacity = 0;
@@ -72,6 +63,7 @@ export class WindowTitlePopup {
         if (this._popupActor) {
             const actor = this._popupActor;
             this._popupActor = null;
+            this._positioner.release();
             if (this._hoverSignalId) {
                 actor.disconnect(this._hoverSignalId);
                 this._hoverSignalId = null;
@@ -85,5 +77,6 @@ export class WindowTitlePopup {
 
     destroy() {
         this.hide();
+        this._positioner.destroy();
     }
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import { WorkspaceOperations } from './workspaceOperations.js';
+
+// ==================== WORKSPACE ADD BUTTON ====================
+// The "+" thumbnail at the end of the indicator: appends a workspace and
+// switches to it.
+export class WorkspaceAddButton extends St.Button {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor(settings) {
+        super({
+            style_class: 'workspace-thumbnail workspace-add-button',
+            y_expand: true,
+            label: '+',
+        });
+        this._settings = settings;
+
+        this.connect('button-press-event', (actor, event) => {
+            if (event.get_button() !== Clutter.BUTTON_PRIMARY)
+                return Clutter.EVENT_PROPAGATE;
+            WorkspaceOperations.append();
+            return Clutter.EVENT_STOP;
+        });
+    }
+}
\ No newline at end of file
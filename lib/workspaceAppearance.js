@@ -0,0 +1,86 @@
+import GLib from 'gi://GLib';
+
+const SETTINGS_KEY = 'workspace-appearance';
+
+// Palette offered in ThumbnailActionMenu (Solarized accents, matching
+// stylesheet.css). Prefs additionally allows any color.
+export const ACCENT_COLORS = [
+    ['#268bd2', 'Blue'],
+    ['#2aa198', 'Cyan'],
+    ['#859900', 'Green'],
+    ['#b58900', 'Yellow'],
+    ['#cb4b16', 'Orange'],
+    ['#dc322f', 'Red'],
+    ['#d33682', 'Magenta'],
+    ['#6c71c4', 'Violet'],
+];
+
+// Quick picks for the menu; prefs accepts any icon name or emoji.
+export const ICON_CHOICES = [
+    ['mail-unread-symbolic', 'Mail'],
+    ['utilities-terminal-symbolic', 'Terminal'],
+    ['applications-internet-symbolic', 'Web'],
+    ['folder-documents-symbolic', 'Documents'],
+    ['applications-multimedia-symbolic', 'Media'],
+    ['applications-games-symbolic', 'Games'],
+    ['user-available-symbolic', 'Chat'],
+    ['applications-engineering-symbolic', 'Code'],
+];
+
+// ==================== WORKSPACE APPEARANCE ====================
+// Per-workspace accent color and icon (a symbolic icon name or an emoji),
+// stored in GSettings keyed by workspace name so they stay with the
+// workspace when it is reordered (an unnamed workspace given one gets its
+// default name saved, see WorkspaceNames.pin). Shared by the shell and prefs, so this
+// module must not import anything shell-only.
+
+export function readWorkspaceAppearances(settings) {
+    return settings.get_value(SETTINGS_KEY).deep_unpack();
+}
+
+export function getWorkspaceAppearance(settings, name) {
+    const entry = readWorkspaceAppearances(settings)[name] ?? {};
+    return {
+        color: entry.color ?? '',
+        icon: entry.icon ?? '',
+    };
+}
+
+// Merges `changes` ({color?, icon?}) into the workspace's appearance;
+// empty values are dropped, and so is an entry left with nothing.
+export function setWorkspaceAppearance(settings, name, changes) {
+    const all = readWorkspaceAppearances(settings);
+    const entry = { ...all[name], ...changes };
+    for (const [field, value] of Object.entries(entry)) {
+        if (!value)
+            delete entry[field];
+    }
+    if (Object.keys(entry).length === 0)
+        delete all[name];
+    else
+        all[name] = entry;
+    settings.set_value(SETTINGS_KEY, new GLib.Variant('a{sa{ss}}', all));
+}
+
+// Carries a workspace's appearance over when the workspace is renamed.
+export function renameWorkspaceAppearance(settings, oldName, newName) {
+    const all = readWorkspaceAppearances(settings);
+    if (oldName === newName || !all[oldName])
+        return;
+    all[newName] = all[oldName];
+    delete all[oldName];
+    settings.set_value(SETTINGS_KEY, new GLib.Variant('a{sa{ss}}', all));
+}
+
+// Icon names are drawn with St.Icon; anything else (an emoji) as text.
+export function isIconName(icon) {
+    return /^[\w.-]+$/.test(icon);
+}
+
+export function hexToRgba(hex, alpha) {
+    const match = /^#?([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i.exec(hex);
+    if (!match)
+        return null;
+    const [r, g, b] = match.slice(1).map(part => parseInt(part, 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
\ No newline at end of file
@@ -1,29 +1,50 @@
 import Clutter from 'gi://Clutter';
 import GObject from 'gi://GObject';
 import St from 'gi://St';
-import Meta from 'gi://Meta';
 import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import { WorkspaceManager } from './shellGlobals.js';
 import { WorkspaceThumbnail } from './workspaceThumbnail.js';
+import { WorkspaceAddButton } from './workspaceAddButton.js';
+import { NewWorkspaceDropZone } from './newWorkspaceDropZone.js';
+import { WorkspaceNames } from './workspaceNames.js';
+import { WorkspaceRenameEntry } from './workspaceRenameEntry.js';
+import { IndicatorKeyboardNavigator } from './indicatorKeyboardNavigator.js';
+import { IndicatorScrollController } from './indicatorScrollController.js';
+import { getWorkspaceAppearance, isIconName } from './workspaceAppearance.js';
 
 export class WorkspaceIndicator extends PanelMenu.Button {
     static {
         GObject.registerClass(this);
     }
 
-    constructor(settings) {
+    // `monitorIndex` limits the thumbnails to windows on that monitor;
+    // null lists every window. `vertical` stacks everything for side
+    // panels (see WorkspaceIndicatorManager).
+    constructor(settings, { monitorIndex = null, vertical = false } = {}) {
         super(0.0, _('Workspace Indicator'));
         this.reactive = false;
         this._settings = settings;
+        this._monitorIndex = monitorIndex;
+        this._vertical = vertical;
 
         this._mainBox = new St.BoxLayout({
             style_class: 'workspace-indicator-main-box',
             y_expand: true,
             x_expand: true,
             reactive: true,
+            vertical,
+        });
+        if (vertical)
+            this._mainBox.add_style_class_name('vertical');
+
+        // Holds the active workspace's icon or emoji, if it has one.
+        this._workspaceIcon = new St.Bin({
+            style_class: 'workspace-name-icon',
+            y_align: Clutter.ActorAlign.CENTER,
+            visible: false,
         });
 
         this._workspaceName = new St.Label({
@@ -31,16 +52,38 @@ export class WorkspaceIndicator extends PanelMenu.Button {
             y_expand: true,
             y_align: Clutter.ActorAlign.CENTER,
             text: this._getCurrentWorkspaceName(),
+            reactive: true,
         });
         this._updateWorkspaceNameFontSize();
+        this._updateWorkspaceIcon();
+
+        // Double-click the name to rename the active workspace in place.
+        this._workspaceName.connect('button-press-event', (actor, event) => {
+            if (event.get_button() !== Clutter.BUTTON_PRIMARY || event.get_click_count() !== 2)
+                return Clutter.EVENT_PROPAGATE;
+            this.renameWorkspace(WorkspaceManager.get_active_workspace(), this._workspaceName, {
+                fontSize: this._settings.get_int('workspace-name-font-size'),
+            });
+            return Clutter.EVENT_STOP;
+        });
 
         this._thumbnailsBox = new St.BoxLayout({
             style_class: 'workspace-indicator-class',
             y_expand: true,
             x_expand: true,
             reactive: true,
+            vertical,
         });
+        if (vertical)
+            this._thumbnailsBox.add_style_class_name('vertical');
 
+        this._thumbnails = new Map(); // Meta.Workspace -> WorkspaceThumbnail
+        this._dropZone = new NewWorkspaceDropZone();
+        this._addButton = new WorkspaceAddButton(this._settings);
+        this._thumbnailsBox.add_child(this._dropZone);
+        this._thumbnailsBox.add_child(this._addButton);
+
+        this._mainBox.add_child(this._workspaceIcon);
         this._mainBox.add_child(this._workspaceName);
         this._mainBox.add_child(this._thumbnailsBox);
         this.add_child(this._mainBox);
@@ -53,19 +96,68 @@ export class WorkspaceIndicator extends PanelMenu.Button {
                 this._updateThumbnails.bind(this)),
             WorkspaceManager.connect_after('workspace-switched',
                 this._onWorkspaceSwitched.bind(this)),
+            WorkspaceManager.connect_after('workspaces-reordered', () => {
+                this._updateThumbnails();
+                this._onWorkspaceSwitched();
+            }),
         ];
 
         // Listen for changes to the workspace name font size
         this._settingsChangeId = this._settings.connect('changed::workspace-name-font-size', () => {
             this._updateWorkspaceNameFontSize();
+            this._updateWorkspaceIcon();
+        });
+        this._appearanceChangedId = this._settings.connect('changed::workspace-appearance', () => {
+            this._updateWorkspaceIcon();
+        });
+        this._namesChangedId = WorkspaceNames.connectChanged(() => {
+            this._workspaceName.set_text(this._getCurrentWorkspaceName());
+            this._updateWorkspaceIcon();
         });
 
         this._updateThumbnails();
+        this._renameEntry = null;
+        this._keyboardNavigator = new IndicatorKeyboardNavigator(this);
+        this._scrollController = new IndicatorScrollController(this._mainBox, this._settings);
+    }
+
+    get monitorIndex() {
+        return this._monitorIndex;
+    }
+
+    get vertical() {
+        return this._vertical;
+    }
+
+    // In workspace order.
+    get thumbnails() {
+        return [...this._thumbnails.values()]
+            .sort((a, b) => a.workspaceIndex - b.workspaceIndex);
+    }
+
+    // Starts keyboard navigation of the thumbnails and their icons.
+    focusKeyboard() {
+        this._keyboardNavigator.start();
+    }
+
+    // Opens the inline rename entry over `anchor`, closing one that is
+    // already open.
+    renameWorkspace(workspace, anchor, { fontSize = null } = {}) {
+        this._renameEntry?.destroy();
+        const entry = new WorkspaceRenameEntry(workspace, anchor, this._settings, {
+            fontSize,
+            onClosed: () => {
+                if (this._renameEntry === entry)
+                    this._renameEntry = null;
+            },
+        });
+        this._renameEntry = entry;
+        entry.open();
     }
 
     _getCurrentWorkspaceName() {
         const currentWorkspace = WorkspaceManager.get_active_workspace_index();
-        return Meta.prefs_get_workspace_name(currentWorkspace);
+        return WorkspaceNames.get(currentWorkspace);
     }
 
     _updateWorkspaceNameFontSize() {
@@ -73,39 +165,78 @@ export class WorkspaceIndicator extends PanelMenu.Button {
         this._workspaceName.set_style(`font-size: ${fontSize}px;`);
     }
 
+    _updateWorkspaceIcon() {
+        const { color, icon } = getWorkspaceAppearance(this._settings, this._getCurrentWorkspaceName());
+        const size = this._settings.get_int('workspace-name-font-size');
+        const colorStyle = color ? ` color: ${color};` : '';
+
+        this._workspaceIcon.child?.destroy();
+        if (!icon) {
+            this._workspaceIcon.hide();
+            return;
+        }
+        if (isIconName(icon)) {
+            this._workspaceIcon.set_child(new St.Icon({
+                icon_name: icon,
+                icon_size: size,
+                style: colorStyle,
+            }));
+        } else {
+            this._workspaceIcon.set_child(new St.Label({
+                text: icon,
+                style: `font-size: ${size}px;${colorStyle}`,
+            }));
+        }
+        this._workspaceIcon.show();
+    }
+
     _onWorkspaceSwitched() {
         this._workspaceName.set_text(this._getCurrentWorkspaceName());
+        this._updateWorkspaceIcon();
         this._updateActiveThumbnail();
     }
 
     _updateActiveThumbnail() {
-        const thumbs = this._thumbnailsBox.get_children();
-        for (let i = 0; i < thumbs.length; i++) {
-            if (i === WorkspaceManager.get_active_workspace_index())
-                thumbs[i].add_style_class_name('active');
-            else
-                thumbs[i].remove_style_class_name('active');
-        }
+        const active = WorkspaceManager.get_active_workspace();
+        for (const [workspace, thumb] of this._thumbnails)
+            thumb.setActive(workspace === active);
     }
 
+    // Keeps the thumbnails of surviving workspaces (with their window
+    // order stores and open menus) and only adds, drops and reorders what
+    // changed. The drop zone and the "+" button stay last.
     _updateThumbnails() {
-        this._thumbnailsBox.destroy_all_children();
-        for (let i = 0; i < WorkspaceManager.n_workspaces; i++) {
-            const thumb = new WorkspaceThumbnail(
-                WorkspaceManager.get_workspace_by_index(i),
-                this._settings
-            );
-            this._thumbnailsBox.add_child(thumb);
+        const workspaces = [];
+        for (let i = 0; i < WorkspaceManager.n_workspaces; i++)
+            workspaces.push(WorkspaceManager.get_workspace_by_index(i));
+
+        for (const [workspace, thumb] of this._thumbnails) {
+            if (!workspaces.includes(workspace)) {
+                this._thumbnails.delete(workspace);
+                thumb.destroy();
+            }
         }
+        workspaces.forEach((workspace, index) => {
+            let thumb = this._thumbnails.get(workspace);
+            if (!thumb) {
+                thumb = new WorkspaceThumbnail(workspace, this._settings, {
+                    monitorIndex: this._monitorIndex,
+                    vertical: this._vertical,
+                    onRename: (ws, anchor) => this.renameWorkspace(ws, anchor),
+                });
+                this._thumbnails.set(workspace, thumb);
+                this._thumbnailsBox.add_child(thumb);
+            }
+            this._thumbnailsBox.set_child_at_index(thumb, index);
+        });
+        this._thumbnailsBox.set_child_above_sibling(this._dropZone, null);
+        this._thumbnailsBox.set_child_above_sibling(this._addButton, null);
         this._updateActiveThumbnail();
     }
 
     cleanupSources() {
-        const thumbs = this._thumbnailsBox.get_children();
-        for (const thumb of thumbs) {
-            if (typeof thumb.cleanupSources === 'function')
-                thumb.cleanupSources();
-        }
+        for (const thumb of this._thumbnails.values())
+            thumb.cleanupSources();
     }
 
     destroy() {
@@ -114,8 +245,24 @@ export class WorkspaceIndicator extends PanelMenu.Button {
             this._settings.disconnect(this._settingsChangeId);
             this._settingsChangeId = null;
         }
+        if (this._appearanceChangedId) {
+            this._settings.disconnect(this._appearanceChangedId);
+            this._appearanceChangedId = null;
+        }
+        if (this._namesChangedId) {
+            WorkspaceNames.disconnect(this._namesChangedId);
+            this._namesChangedId = null;
+        }
 
+        this._renameEntry?.destroy();
+        this._keyboardNavigator.destroy();
+        this._scrollController.destroy();
         this.cleanupSources();
+        // Destroying the box alone would skip each thumbnail's destroy()
+        // and leave its window and settings handlers connected.
+        for (const thumb of this._thumbnails.values())
+            thumb.destroy();
+        this._thumbnails.clear();
         this._thumbnailsBox?.destroy();
         for (const id of this._workspaceManagerSignals)
             WorkspaceManager.disconnect(id);
@@ -0,0 +1,170 @@
+import Gio from 'gi://Gio';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { WorkspaceIndicator } from './workspaceIndicator.js';
+import { journal } from '../utils.js';
+
+const DASH_TO_PANEL_UUID = 'dash-to-panel@jderose9.github.com';
+
+// ==================== WORKSPACE INDICATOR MANAGER ====================
+// Decides how many WorkspaceIndicators exist and where they live. By
+// default there is one, on the top panel, listing every window. With
+// `indicator-per-monitor` each monitor gets its own, listing only the
+// windows on that monitor: the primary one on the top panel, the others
+// on Dash to Panel's panel for their monitor when there is one, or else
+// on a slim bar across the top of the monitor. Under mutter's
+// workspaces-only-on-primary, secondary monitors have no workspaces to
+// show and get no indicator. Each indicator is laid out vertically when
+// `indicator-orientation` says so, or on "auto" when its Dash to Panel
+// panel sits on the left or right edge. Rebuilt whenever any of that
+// changes.
+export class WorkspaceIndicatorManager {
+    constructor(settings) {
+        this._settings = settings;
+        this._mutterSettings = new Gio.Settings({ schema_id: 'org.gnome.mutter' });
+        this._hosts = []; // { indicator, bar }
+        this._dashToPanel = null;
+        this._panelsCreatedId = null;
+
+        this._settingsChangedIds = [
+            settings.connect('changed::indicator-per-monitor', () => this._rebuild()),
+            settings.connect('changed::indicator-orientation', () => this._rebuild()),
+        ];
+        this._onlyOnPrimaryChangedId = this._mutterSettings.connect('changed::workspaces-only-on-primary',
+            () => this._rebuild());
+        this._monitorsChangedId = Main.layoutManager.connect('monitors-changed',
+            () => this._rebuild());
+        this._extensionStateChangedId = Main.extensionManager.connect('extension-state-changed',
+            (manager, extension) => {
+                if (extension.uuid === DASH_TO_PANEL_UUID)
+                    this._rebuild();
+            });
+
+        this._rebuild();
+    }
+
+    get indicators() {
+        return this._hosts.map(host => host.indicator);
+    }
+
+    _connectDashToPanel() {
+        if (this._dashToPanel === (global.dashToPanel ?? null))
+            return;
+        if (this._panelsCreatedId)
+            this._dashToPanel.disconnect(this._panelsCreatedId);
+        this._panelsCreatedId = null;
+        this._dashToPanel = global.dashToPanel ?? null;
+        if (this._dashToPanel) {
+            this._panelsCreatedId = this._dashToPanel.connect('panels-created',
+                () => this._rebuild());
+        }
+    }
+
+    _dashToPanelFor(monitorIndex) {
+        return (this._dashToPanel?.panels ?? [])
+            .find(panel => panel.monitor?.index === monitorIndex) ?? null;
+    }
+
+    _isVertical(monitorIndex) {
+        const orientation = this._settings.get_string('indicator-orientation');
+        if (orientation !== 'auto')
+            return orientation === 'vertical';
+        // Without Dash to Panel the top panel is always horizontal.
+        const index = monitorIndex ?? Main.layoutManager.primaryIndex;
+        return this._dashToPanelFor(index)?.checkIfVertical?.() ?? false;
+    }
+
+    _rebuild() {
+        this._destroyIndicators();
+        this._connectDashToPanel();
+
+        if (!this._settings.get_boolean('indicator-per-monitor')) {
+            this._addToTopPanel(null);
+            return;
+        }
+
+        const onlyOnPrimary = this._mutterSettings.get_boolean('workspaces-only-on-primary');
+        for (const monitor of Main.layoutManager.monitors) {
+            if (monitor.index === Main.layoutManager.primaryIndex) {
+                this._addToTopPanel(monitor.index);
+                continue;
+            }
+            if (onlyOnPrimary)
+                continue;
+            const dtpBox = this._dashToPanelFor(monitor.index)?._leftBox;
+            if (dtpBox)
+                this._addToBox(monitor.index, dtpBox);
+            else
+                this._addMonitorBar(monitor);
+        }
+        journal(`[WorkspaceIndicatorManager] ${this._hosts.length} indicators`);
+    }
+
+    _createIndicator(monitorIndex) {
+        return new WorkspaceIndicator(this._settings, {
+            monitorIndex,
+            vertical: this._isVertical(monitorIndex),
+        });
+    }
+
+    _addToTopPanel(monitorIndex) {
+        const indicator = this._createIndicator(monitorIndex);
+        Main.panel.addToStatusArea('workspace-indicator', indicator, 0, 'left');
+        this._hosts.push({ indicator, bar: null });
+    }
+
+    _addToBox(monitorIndex, box) {
+        const indicator = this._createIndicator(monitorIndex);
+        box.insert_child_at_index(indicator.container, 0);
+        this._hosts.push({ indicator, bar: null });
+    }
+
+    _addMonitorBar(monitor) {
+        const indicator = this._createIndicator(monitor.index);
+        const bar = new St.BoxLayout({
+            style_class: 'panel workspace-indicator-monitor-bar',
+            x: monitor.x,
+            y: monitor.y,
+            width: monitor.width,
+            height: Main.panel.height,
+        });
+        bar.add_child(indicator.container);
+        Main.layoutManager.addChrome(bar, { affectsStruts: true, trackFullscreen: true });
+        this._hosts.push({ indicator, bar });
+    }
+
+    _destroyIndicators() {
+        for (const { indicator, bar } of this._hosts) {
+            indicator.destroy();
+            if (bar) {
+                Main.layoutManager.removeChrome(bar);
+                bar.destroy();
+            }
+        }
+        this._hosts = [];
+    }
+
+    destroy() {
+        this._destroyIndicators();
+        if (this._panelsCreatedId) {
+            this._dashToPanel.disconnect(this._panelsCreatedId);
+            this._panelsCreatedId = null;
+        }
+        this._dashToPanel = null;
+        for (const id of this._settingsChangedIds)
+            this._settings.disconnect(id);
+        this._settingsChangedIds = [];
+        if (this._onlyOnPrimaryChangedId) {
+            this._mutterSettings.disconnect(this._onlyOnPrimaryChangedId);
+            this._onlyOnPrimaryChangedId = null;
+        }
+        if (this._monitorsChangedId) {
+            Main.layoutManager.disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = null;
+        }
+        if (this._extensionStateChangedId) {
+            Main.extensionManager.disconnect(this._extensionStateChangedId);
+            this._extensionStateChangedId = null;
+        }
+    }
+}
\ No newline at end of file
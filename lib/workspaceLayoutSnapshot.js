@@ -0,0 +1,278 @@
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { Display, WindowTracker, WorkspaceManager } from './shellGlobals.js';
+import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
+import { describeWindow, scoreIdentityMatch } from './windowIdentity.js';
+import { onWindowFirstFrame } from './windowFirstFrame.js';
+import { journal } from '../utils.js';
+
+const LAYOUT_VERSION = 1;
+
+// How long relaunched apps get to map their windows before we stop
+// routing new windows to recorded slots.
+const RESTORE_WINDOW_TIMEOUT_S = 60;
+
+function getLayoutFile() {
+    return Gio.File.new_for_path(GLib.build_filenamev([
+        GLib.get_user_data_dir(), 'workspaces-organizer-by-blueray453', 'layout.json',
+    ]));
+}
+
+function notify(body) {
+    Main.notify('Workspaces Organizer', body);
+}
+
+// ==================== WORKSPACE LAYOUT SNAPSHOT ====================
+// "Save workspace layout" / "Restore workspace layout": records which
+// window lives on which workspace and monitor, its frame and its slot in
+// the workspace's icon order, as JSON under the user data dir. Restoring
+// moves open windows back, relaunches apps whose windows are missing and
+// routes their new windows to the recorded place as they map. File
+// reads and writes still in flight are cancelled by destroy(), so
+// nothing is restored after the extension is disabled.
+// Singleton.
+export const WorkspaceLayoutSnapshot = {
+    _cancellable: null,
+    _pendingEntries: [],
+    _launchedApps: new Set(), // Shell.App whose new windows get routed
+    _pendingFirstFrames: new Map(), // Meta.Window -> cancel function
+    _windowCreatedId: null,
+    _restoreTimeoutId: null,
+
+    // Shared by every file operation until destroy() cancels them.
+    _getCancellable() {
+        this._cancellable ??= new Gio.Cancellable();
+        return this._cancellable;
+    },
+
+    save() {
+        const windows = Display.get_tab_list(Meta.TabList.NORMAL, null)
+            .filter(w => !w.skip_taskbar && w.get_workspace());
+        const entries = windows.map(window => {
+            const workspace = window.get_workspace();
+            const order = WorkspaceThumbnailRegistry.getForWorkspace(workspace)
+                .map(thumb => thumb.orderStore.order)
+                .find(o => o.includes(window)) ?? [];
+            const frame = window.get_frame_rect();
+            return {
+                ...describeWindow(window),
+                workspace: workspace.index(),
+                monitor: window.get_monitor(),
+                frame: { x: frame.x, y: frame.y, width: frame.width, height: frame.height },
+                maximized: window.get_maximized() === Meta.MaximizeFlags.BOTH,
+                position: Math.max(0, order.indexOf(window)),
+            };
+        });
+
+        const layout = {
+            version: LAYOUT_VERSION,
+            nWorkspaces: WorkspaceManager.n_workspaces,
+            windows: entries,
+        };
+
+        const file = getLayoutFile();
+        GLib.mkdir_with_parents(file.get_parent().get_path(), 0o755);
+        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify(layout, null, 2)));
+        file.replace_contents_bytes_async(bytes, null, false,
+            Gio.FileCreateFlags.REPLACE_DESTINATION, this._getCancellable(), (f, result) => {
+                try {
+                    f.replace_contents_finish(result);
+                    journal(`[WorkspaceLayoutSnapshot] Saved ${entries.length} windows to ${f.get_path()}`);
+                    notify(`Saved the layout of ${entries.length} windows`);
+                } catch (e) {
+                    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                        return;
+                    journal(`[WorkspaceLayoutSnapshot] Saving failed: ${e.message}`, true);
+                    notify(`Could not save the workspace layout: ${e.message}`);
+                }
+            });
+    },
+
+    restore() {
+        getLayoutFile().load_contents_async(this._getCancellable(), (f, result) => {
+            let layout;
+            try {
+                const [, contents] = f.load_contents_finish(result);
+                layout = JSON.parse(new TextDecoder().decode(contents));
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                    return;
+                journal(`[WorkspaceLayoutSnapshot] Loading failed: ${e.message}`, true);
+                notify('No saved workspace layout could be read');
+                return;
+            }
+            if (layout.version !== LAYOUT_VERSION || !Array.isArray(layout.windows)) {
+                notify('The saved workspace layout has an unknown format');
+                return;
+            }
+            this._restoreLayout(layout);
+        });
+    },
+
+    _restoreLayout(layout) {
+        this._cancelPending();
+
+        const neededWorkspaces = Math.max(0, ...layout.windows.map(e => e.workspace + 1));
+        while (WorkspaceManager.n_workspaces < neededWorkspaces)
+            WorkspaceManager.append_new_workspace(false, global.get_current_time());
+
+        // Place open windows first, best identity matches first.
+        const candidates = Display.get_tab_list(Meta.TabList.NORMAL, null)
+            .filter(w => !w.skip_taskbar);
+        const pairs = [];
+        for (const entry of layout.windows) {
+            for (const window of candidates) {
+                const score = scoreIdentityMatch(entry, window, { sameSessionExact: false });
+                if (score > 0)
+                    pairs.push({ entry, window, score });
+            }
+        }
+        pairs.sort((a, b) => b.score - a.score);
+
+        const placedEntries = new Set();
+        const placedWindows = new Set();
+        const placements = [];
+        for (const { entry, window } of pairs) {
+            if (placedEntries.has(entry) || placedWindows.has(window))
+                continue;
+            placedEntries.add(entry);
+            placedWindows.add(window);
+            placements.push({ entry, window });
+        }
+        placements.sort((a, b) => a.entry.position - b.entry.position);
+        for (const { entry, window } of placements)
+            this._placeWindow(window, entry);
+
+        const missing = layout.windows.filter(e => !placedEntries.has(e));
+        this._relaunchMissing(missing);
+        journal(`[WorkspaceLayoutSnapshot] Restored ${placements.length} windows, waiting for ${this._pendingEntries.length}`);
+        notify(`Restored ${placements.length} windows` +
+            (this._pendingEntries.length ? `, relaunching ${this._pendingEntries.length} more` : ''));
+    },
+
+    _placeWindow(window, entry) {
+        if (entry.monitor >= 0 && entry.monitor < Main.layoutManager.monitors.length &&
+            entry.monitor !== window.get_monitor())
+            window.move_to_monitor(entry.monitor);
+
+        const workspace = WorkspaceManager.get_workspace_by_index(entry.workspace);
+        if (workspace) {
+            for (const thumb of WorkspaceThumbnailRegistry.getForWorkspace(workspace))
+                thumb.placeWindow(window, entry.position);
+            if (workspace !== window.get_workspace())
+                window.change_workspace(workspace);
+        }
+
+        if (entry.maximized) {
+            window.maximize(Meta.MaximizeFlags.BOTH);
+        } else if (entry.frame) {
+            if (window.get_maximized())
+                window.unmaximize(Meta.MaximizeFlags.BOTH);
+            const { x, y, width, height } = entry.frame;
+            window.move_resize_frame(true, x, y, width, height);
+        }
+    },
+
+    _relaunchMissing(entries) {
+        const appSystem = Shell.AppSystem.get_default();
+        const byApp = new Map();
+        for (const entry of entries) {
+            const app = entry.appId ? appSystem.lookup_app(entry.appId) : null;
+            if (!app) {
+                journal(`[WorkspaceLayoutSnapshot] Cannot relaunch "${entry.title}": no app for "${entry.appId}"`);
+                continue;
+            }
+            if (!byApp.has(app))
+                byApp.set(app, []);
+            byApp.get(app).push(entry);
+        }
+        if (byApp.size === 0)
+            return;
+
+        for (const [app, appEntries] of byApp) {
+            let launched = 0;
+            if (app.get_state() === Shell.AppState.STOPPED) {
+                app.launch(0, -1, Shell.AppLaunchGpu.APP_PREF);
+                launched++;
+            }
+            while (launched < appEntries.length && app.can_open_new_window()) {
+                app.open_new_window(-1);
+                launched++;
+            }
+            if (launched === 0) {
+                journal(`[WorkspaceLayoutSnapshot] Cannot open more windows of "${app.get_id()}"`);
+                continue;
+            }
+            this._launchedApps.add(app);
+            this._pendingEntries.push(...appEntries);
+        }
+        if (this._launchedApps.size === 0)
+            return;
+
+        this._windowCreatedId = Display.connect('window-created', (display, window) => {
+            const cancel = onWindowFirstFrame(window, () => {
+                this._pendingFirstFrames.delete(window);
+                this._routeNewWindow(window);
+            }, () => this._pendingFirstFrames.delete(window));
+            if (window.get_compositor_private())
+                this._pendingFirstFrames.set(window, cancel);
+        });
+        this._restoreTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT,
+            RESTORE_WINDOW_TIMEOUT_S, () => {
+                this._restoreTimeoutId = null;
+                journal(`[WorkspaceLayoutSnapshot] Gave up waiting for ${this._pendingEntries.length} windows`);
+                this._cancelPending();
+                return GLib.SOURCE_REMOVE;
+            });
+    },
+
+    // Only windows of the apps relaunched above are routed; anything else
+    // opened meanwhile stays where it maps.
+    _routeNewWindow(window) {
+        if (window.skip_taskbar || !this._launchedApps.has(WindowTracker.get_window_app(window)))
+            return;
+
+        let bestIndex = -1;
+        let bestScore = 0;
+        this._pendingEntries.forEach((entry, index) => {
+            const score = scoreIdentityMatch(entry, window, { sameSessionExact: false });
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+        if (bestIndex === -1)
+            return;
+
+        const [entry] = this._pendingEntries.splice(bestIndex, 1);
+        journal(`[WorkspaceLayoutSnapshot] Routing "${window.get_title()}" to workspace ${entry.workspace}`);
+        this._placeWindow(window, entry);
+        if (this._pendingEntries.length === 0)
+            this._cancelPending();
+    },
+
+    _cancelPending() {
+        this._pendingEntries = [];
+        this._launchedApps.clear();
+        for (const cancel of this._pendingFirstFrames.values())
+            cancel();
+        this._pendingFirstFrames.clear();
+        if (this._windowCreatedId) {
+            Display.disconnect(this._windowCreatedId);
+            this._windowCreatedId = null;
+        }
+        if (this._restoreTimeoutId) {
+            GLib.Source.remove(this._restoreTimeoutId);
+            this._restoreTimeoutId = null;
+        }
+    },
+
+    destroy() {
+        this._cancellable?.cancel();
+        this._cancellable = null;
+        this._cancelPending();
+    },
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
+import { Display } from './shellGlobals.js';
+import { NewWorkspaceDropZoneRegistry } from './newWorkspaceDropZone.js';
+import { journal } from '../utils.js';
+
+// One window on the mini-map: a live clone clipped to the window's
+// scaled frame. Carries `_window` so dragHelpers treats it like a
+// WindowIconButton, i.e. it can be dropped on any thumbnail.
+class MiniMapWindow extends St.Button {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor(window, { onActivate }) {
+        super({
+            style_class: 'minimap-window',
+            reactive: true,
+            track_hover: true,
+            clip_to_allocation: true,
+            button_mask: St.ButtonMask.ONE,
+        });
+        this._window = window;
+        // The clone overhangs the button by the window's shadows, so it
+        // sits in a plain actor the button can't stretch.
+        this._clone = new Clutter.Clone({ source: window.get_compositor_private() });
+        const cloneContainer = new Clutter.Actor();
+        cloneContainer.add_child(this._clone);
+        this.set_child(cloneContainer);
+
+        this._delegate = this;
+        this._draggable = DND.makeDraggable(this, { restoreOnSuccess: true });
+        this._draggable.connect('drag-begin', () => NewWorkspaceDropZoneRegistry.showAll());
+        this._draggable.connect('drag-end', () => NewWorkspaceDropZoneRegistry.hideAll());
+
+        this.connect('clicked', () => onActivate(window));
+    }
+
+    get window() {
+        return this._window;
+    }
+
+    // `scale` maps stage pixels to mini-map pixels; (originX, originY) is
+    // the monitor's top-left corner.
+    relayout(scale, originX, originY) {
+        const frame = this._window.get_frame_rect();
+        const buffer = this._window.get_buffer_rect();
+        this.set_position(
+            Math.round((frame.x - originX) * scale),
+            Math.round((frame.y - originY) * scale));
+        this.set_size(
+            Math.max(1, Math.round(frame.width * scale)),
+            Math.max(1, Math.round(frame.height * scale)));
+        this._clone.set_position(
+            (buffer.x - frame.x) * scale,
+            (buffer.y - frame.y) * scale);
+        this._clone.set_size(buffer.width * scale, buffer.height * scale);
+    }
+}
+
+// ==================== WORKSPACE MINI-MAP ====================
+// The "minimap" display mode of ThumbnailDisplayModeController: the
+// workspace drawn as a scaled-down monitor with every window at its real
+// position and in its real stacking order, instead of a row of icons.
+// Follows moves, resizes, restacking and minimizing live. Windows can be
+// clicked to activate them and dragged onto other thumbnails.
+export class WorkspaceMiniMap extends St.Widget {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor(height, { onWindowClicked }) {
+        super({
+            style_class: 'workspace-minimap',
+            clip_to_allocation: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this._height = height;
+        this._onWindowClicked = onWindowClicked;
+        this._windows = [];
+        this._windowActors = new Map();  // Meta.Window -> MiniMapWindow
+        this._windowSignals = new Map(); // Meta.Window -> [signal ids]
+
+        this._restackedId = Display.connect('restacked', () => this._restack());
+        this._monitorsChangedId = Main.layoutManager.connect('monitors-changed',
+            () => this._relayout());
+        // Which monitor we draw is only known once we are on stage.
+        this.connect('stage-views-changed', () => this._relayout());
+    }
+
+    setHeight(height) {
+        this._height = height;
+        this._relayout();
+    }
+
+    // `windows` in any order; they are drawn by stacking order.
+    setWindows(windows) {
+        this._windows = windows.slice();
+        const current = new Set(this._windows);
+
+        for (const window of [...this._windowActors.keys()]) {
+            if (!current.has(window))
+                this._removeWindow(window);
+        }
+        for (const window of this._windows) {
+            if (!this._windowActors.has(window))
+                this._addWindow(window);
+        }
+        this._relayout();
+        this._restack();
+    }
+
+    _addWindow(window) {
+        if (!window.get_compositor_private())
+            return;
+        const actor = new MiniMapWindow(window, { onActivate: this._onWindowClicked });
+        this._windowActors.set(window, actor);
+        this.add_child(actor);
+        this._windowSignals.set(window, [
+            window.connect('position-changed', () => this._relayoutWindow(window)),
+            window.connect('size-changed', () => this._relayoutWindow(window)),
+            window.connect('notify::minimized', () => this._relayoutWindow(window)),
+        ]);
+    }
+
+    _removeWindow(window) {
+        for (const id of this._windowSignals.get(window) ?? [])
+            window.disconnect(id);
+        this._windowSignals.delete(window);
+        this._windowActors.get(window)?.destroy();
+        this._windowActors.delete(window);
+    }
+
+    // The monitor this thumbnail sits on: that's where a window dropped on
+    // it ends up, so it is the one worth drawing.
+    _getMonitor() {
+        const index = this.get_stage()
+            ? Main.layoutManager.findIndexForActor(this)
+            : Main.layoutManager.primaryIndex;
+        return Main.layoutManager.monitors[index] ?? Main.layoutManager.primaryMonitor;
+    }
+
+    _relayout() {
+        const monitor = this._getMonitor();
+        if (!monitor)
+            return;
+        this._monitor = monitor;
+        this._scale = this._height / monitor.height;
+        this.set_size(Math.round(monitor.width * this._scale), this._height);
+        for (const window of this._windowActors.keys())
+            this._relayoutWindow(window);
+    }
+
+    _relayoutWindow(window) {
+        const actor = this._windowActors.get(window);
+        if (!actor || !this._monitor)
+            return;
+        // Minimized windows and those on another monitor have no place here.
+        actor.visible = !window.minimized && window.get_monitor() === this._monitor.index;
+        actor.relayout(this._scale, this._monitor.x, this._monitor.y);
+    }
+
+    _restack() {
+        const stacked = Display.sort_windows_by_stacking(this._windows)
+            .map(window => this._windowActors.get(window))
+            .filter(actor => actor);
+        stacked.forEach((actor, index) => this.set_child_at_index(actor, index));
+    }
+
+    destroy() {
+        if (this._restackedId) {
+            Display.disconnect(this._restackedId);
+            this._restackedId = null;
+        }
+        if (this._monitorsChangedId) {
+            Main.layoutManager.disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = null;
+        }
+        for (const window of [...this._windowActors.keys()])
+            this._removeWindow(window);
+        journal(`[WorkspaceMiniMap] Destroyed`);
+        super.destroy();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,82 @@
+import Gio from 'gi://Gio';
+import Meta from 'gi://Meta';
+import { journal } from '../utils.js';
+
+const WM_PREFERENCES_SCHEMA = 'org.gnome.desktop.wm.preferences';
+const NAMES_KEY = 'workspace-names';
+
+// ==================== WORKSPACE NAMES ====================
+// Reads and writes workspace names in org.gnome.desktop.wm.preferences
+// (the same list mutter and other tools use). The list is positional, so
+// WorkspaceOperations remaps it whenever workspaces are added, removed or
+// reordered; otherwise removing a workspace in the middle would let every
+// following workspace inherit its neighbor's name. Singleton —
+// initialized once from extension.js.
+export const WorkspaceNames = {
+    _wmSettings: null,
+
+    init() {
+        this._wmSettings = new Gio.Settings({ schema_id: WM_PREFERENCES_SCHEMA });
+    },
+
+    get(index) {
+        const name = this._wmSettings?.get_strv(NAMES_KEY)[index];
+        return name || Meta.prefs_get_workspace_name(index);
+    },
+
+    set(index, name) {
+        journal(`[WorkspaceNames] Renaming workspace ${index} to "${name}"`);
+        this._update(names => {
+            while (names.length <= index)
+                names.push('');
+            names[index] = name.trim();
+        });
+    },
+
+    // Stores the name a workspace is currently shown with (mutter's
+    // positional default, for an unnamed one), so anything keyed by it
+    // moves with the workspace when the names are remapped.
+    pin(index) {
+        if (this._wmSettings?.get_strv(NAMES_KEY)[index])
+            return;
+        this.set(index, this.get(index));
+    }
+
+    // `remapFn(oldIndex)` gives each name's new index, or -1 to drop it.
+    remap(remapFn) {
+        this._update(names => {
+            const remapped = [];
+            names.forEach((name, index) => {
+                const newIndex = remapFn(index);
+                if (newIndex >= 0)
+                    remapped[newIndex] = name;
+            });
+            names.splice(0, names.length, ...Array.from(remapped, name => name ?? ''));
+        });
+    },
+
+    connectChanged(callback) {
+        return this._wmSettings.connect(`changed::${NAMES_KEY}`, callback);
+    },
+
+    disconnect(id) {
+        this._wmSettings?.disconnect(id);
+    },
+
+    _update(mutate) {
+        if (!this._wmSettings)
+            return;
+        const names = this._wmSettings.get_strv(NAMES_KEY);
+        const before = names.join('\n');
+        mutate(names);
+        // Trailing blanks carry no information.
+        while (names.length > 0 && names[names.length - 1] === '')
+            names.pop();
+        if (names.join('\n') !== before)
+            this._wmSettings.set_strv(NAMES_KEY, names);
+    },
+
+    destroy() {
+        this._wmSettings = null;
+    },
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { WorkspaceManager } from './shellGlobals.js';
+import { WorkspaceNames } from './workspaceNames.js';
+import { WindowOrderPersistence } from './windowOrderPersistence.js';
+import { remapWorkspaceSortModes } from './windowSortModes.js';
+import { journal } from '../utils.js';
+
+function listWorkspaces() {
+    const workspaces = [];
+    for (let i = 0; i < WorkspaceManager.n_workspaces; i++)
+        workspaces.push(WorkspaceManager.get_workspace_by_index(i));
+    return workspaces;
+}
+
+// ==================== WORKSPACE OPERATIONS ====================
+// Adds, removes and reorders workspaces for the indicator, and keeps
+// everything we store by workspace index (names, sort modes, remembered
+// icon order) attached to the right workspace whenever indices shift —
+// whoever shifted them. Singleton — initialized once from extension.js,
+// before any indicator, so state is remapped before thumbnails react.
+export const WorkspaceOperations = {
+    _settings: null,
+    _workspaces: [],
+    _signals: [],
+
+    init(settings) {
+        this._settings = settings;
+        this._workspaces = listWorkspaces();
+        this._signals = [
+            WorkspaceManager.connect('workspace-added', (wm, index) => {
+                // Appending shifts nothing; inserting shifts the tail up.
+                if (index < WorkspaceManager.n_workspaces - 1)
+                    this._remap(i => i >= index ? i + 1 : i);
+                this._workspaces = listWorkspaces();
+            }),
+            WorkspaceManager.connect('workspace-removed', (wm, index) => {
+                this._remap(i => {
+                    if (i === index)
+                        return -1;
+                    return i > index ? i - 1 : i;
+                });
+                this._workspaces = listWorkspaces();
+            }),
+            WorkspaceManager.connect('workspaces-reordered', () => {
+                const previous = this._workspaces;
+                const current = listWorkspaces();
+                this._remap(i => i < previous.length ? current.indexOf(previous[i]) : i);
+                this._workspaces = current;
+            }),
+        ];
+    },
+
+    // Without `activate` the caller must put a window on the new workspace
+    // right away, or dynamic workspaces will prune it as empty.
+    append({ activate = true } = {}) {
+        const workspace = WorkspaceManager.append_new_workspace(false, global.get_current_time());
+        journal(`[WorkspaceOperations] Appended workspace ${workspace.index()}`);
+        if (activate)
+            workspace.activate(global.get_current_time());
+        return workspace;
+    },
+
+    // Moves the workspace's windows to its left neighbor (right for the
+    // first one), then removes it.
+    remove(workspace) {
+        if (WorkspaceManager.n_workspaces <= 1)
+            return;
+        const index = workspace.index();
+        const neighbor = WorkspaceManager.get_workspace_by_index(index > 0 ? index - 1 : index + 1);
+        for (const window of workspace.list_windows()) {
+            if (!window.is_on_all_workspaces())
+                window.change_workspace(neighbor);
+        }
+        journal(`[WorkspaceOperations] Removing workspace ${index}, windows moved to ${neighbor.index()}`);
+        WorkspaceManager.remove_workspace(workspace, global.get_current_time());
+    },
+
+    move(workspace, toIndex) {
+        const target = Math.max(0, Math.min(toIndex, WorkspaceManager.n_workspaces - 1));
+        if (target === workspace.index())
+            return;
+        journal(`[WorkspaceOperations] Moving workspace ${workspace.index()} to ${target}`);
+        WorkspaceManager.reorder_workspace(workspace, target);
+    },
+
+    // `remapFn(oldIndex)` returns the new index, or -1 if the workspace
+    // is gone.
+    _remap(remapFn) {
+        WorkspaceNames.remap(remapFn);
+        remapWorkspaceSortModes(this._settings, remapFn);
+        WindowOrderPersistence.remapWorkspaces(remapFn);
+    },
+
+    destroy() {
+        for (const id of this._signals)
+            WorkspaceManager.disconnect(id);
+        this._signals = [];
+        this._workspaces = [];
+        this._settings = null;
+    },
+};
\ No newline at end of file
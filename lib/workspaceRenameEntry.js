@@ -0,0 +1,106 @@
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { WorkspaceNames } from './workspaceNames.js';
+import { renameWorkspaceAppearance } from './workspaceAppearance.js';
+import { journal } from '../utils.js';
+
+const MIN_ENTRY_WIDTH = 160;
+
+// ==================== WORKSPACE RENAME ENTRY ====================
+// Inline St.Entry laid over an anchor actor (the panel's workspace name
+// label or a thumbnail) to rename a workspace in place. Enter, focus loss
+// or a click elsewhere commit; Escape cancels. The entry holds a modal
+// grab while open so panel clicks don't reach the widgets underneath.
+// One-shot: open() once, it destroys itself when done and then calls
+// `onClosed`. Opened through WorkspaceIndicator.renameWorkspace(), which
+// keeps the open entry so disabling the extension can destroy() it and
+// drop the grab.
+export class WorkspaceRenameEntry {
+    constructor(workspace, anchorActor, settings, { fontSize = null, onClosed = null } = {}) {
+        this._workspace = workspace;
+        this._anchor = anchorActor;
+        this._settings = settings;
+        this._fontSize = fontSize;
+        this._onClosed = onClosed ?? (() => { });
+        this._entry = null;
+        this._grab = null;
+        this._capturedEventId = null;
+        this._finished = false;
+    }
+
+    open() {
+        const index = this._workspace.index();
+        this._entry = new St.Entry({
+            style_class: 'workspace-rename-entry',
+            text: WorkspaceNames.get(index),
+            can_focus: true,
+        });
+        if (this._fontSize)
+            this._entry.set_style(`font-size: ${this._fontSize}px;`);
+
+        const [x, y] = this._anchor.get_transformed_position();
+        const [width, height] = this._anchor.get_transformed_size();
+        this._entry.set_position(Math.round(x), Math.round(y));
+        this._entry.set_size(Math.max(MIN_ENTRY_WIDTH, Math.round(width)), Math.round(height));
+        Main.layoutManager.addChrome(this._entry);
+
+        const text = this._entry.clutter_text;
+        text.connect('activate', () => this._finish(true));
+        text.connect('key-focus-out', () => this._finish(true));
+        text.connect('key-press-event', (actor, event) => {
+            if (event.get_key_symbol() === Clutter.KEY_Escape) {
+                this._finish(false);
+                return Clutter.EVENT_STOP;
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
+        this._capturedEventId = global.stage.connect('captured-event', (stage, event) => {
+            if (event.type() === Clutter.EventType.BUTTON_PRESS &&
+                !this._entry.contains(event.get_source()))
+                this._finish(true);
+            return Clutter.EVENT_PROPAGATE;
+        });
+
+        this._grab = Main.pushModal(this._entry);
+        this._entry.grab_key_focus();
+        text.set_selection(0, text.get_text().length);
+        journal(`[WorkspaceRenameEntry] Renaming workspace ${index}`);
+    }
+
+    _finish(commit) {
+        if (this._finished)
+            return;
+        this._finished = true;
+
+        // An empty name falls back to mutter's "Workspace N". The workspace
+        // may have been removed while the entry was open.
+        const index = this._workspace.index();
+        if (commit && index >= 0 && this._entry) {
+            const oldName = WorkspaceNames.get(index);
+            WorkspaceNames.set(index, this._entry.get_text());
+            renameWorkspaceAppearance(this._settings, oldName, WorkspaceNames.get(index));
+        }
+
+        if (this._capturedEventId) {
+            global.stage.disconnect(this._capturedEventId);
+            this._capturedEventId = null;
+        }
+        if (this._grab) {
+            Main.popModal(this._grab);
+            this._grab = null;
+        }
+        const entry = this._entry;
+        this._entry = null;
+        if (entry) {
+            Main.layoutManager.removeChrome(entry);
+            entry.destroy();
+        }
+        this._onClosed();
+    }
+
+    // Closes the entry without renaming.
+    destroy() {
+        this._finish(false);
+    }
+}
\ No newline at end of file
@@ -3,33 +3,51 @@ import GObject from 'gi://GObject';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
+import { ensureActorVisibleInScrollView } from 'resource:///org/gnome/shell/misc/animationUtils.js';
 import { WorkspaceManager } from './shellGlobals.js';
 import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
 import { WindowReorderDragController } from './windowReorderDragController.js';
-import { getDraggedWindow } from './dragHelpers.js';
+import { getDraggedWindow, getDraggedWindows } from './dragHelpers.js';
 import { WindowOrderStore } from './windowOrderStore.js';
 import { ThumbnailDisplayModeController } from './thumbnailDisplayModeController.js';
 import { ThumbnailActionMenu } from './thumbnailActionMenu.js';
+import { WorkspaceNames } from './workspaceNames.js';
+import { WorkspaceOperations } from './workspaceOperations.js';
+import { getWorkspaceAppearance, hexToRgba } from './workspaceAppearance.js';
+import { runClickAction } from './clickActionRunner.js';
+import { WindowSearchOverlay } from './windowSearchOverlay.js';
 
 export class WorkspaceThumbnail extends St.Button {
     static {
         GObject.registerClass(this);
     }
 
-    constructor(workspace, settings) {
+    constructor(workspace, settings, { monitorIndex = null, vertical = false, onRename = null } = {}) {
         super({
             style_class: 'workspace-thumbnail',
             x_expand: true,
             y_expand: true,
         });
         this._settings = settings;
-        this.set_style(`min-width: ${settings.get_int('thumbnail-min-width')}px;`);
-
         this._workspace = workspace;
-        this._windowsBox = new St.BoxLayout();
-        this.set_child(this._windowsBox);
+        this._monitorIndex = monitorIndex;
+        this._vertical = vertical;
+        this._applyAppearance();
+
+        this._windowsBox = new St.BoxLayout({ vertical });
+        // Scrolling is only switched on by the controller in the `scroll`
+        // overflow mode; until then wheel events pass through to the
+        // indicator's scroll-to-switch.
+        this._scrollView = new St.ScrollView({
+            child: this._windowsBox,
+            hscrollbar_policy: St.PolicyType.NEVER,
+            vscrollbar_policy: St.PolicyType.NEVER,
+            overlay_scrollbars: true,
+            enable_mouse_scrolling: false,
+        });
+        this.set_child(this._scrollView);
 
-        this._orderStore = new WindowOrderStore(workspace);
+        this._orderStore = new WindowOrderStore(workspace, settings, monitorIndex);
         this._displayMode = new ThumbnailDisplayModeController(
             this._windowsBox,
             this._orderStore,
@@ -39,28 +57,62 @@ export class WorkspaceThumbnail extends St.Button {
                     this._workspace.activate(0);
                     window.activate(0);
                 },
+                scrollView: this._scrollView,
             }
         );
-        this._actionMenu = new ThumbnailActionMenu(workspace, this);
+        this._actionMenu = new ThumbnailActionMenu(workspace, this, settings, { onRename });
 
         WorkspaceThumbnailRegistry.register(this);
 
         this._delegate = this;
 
+        // Whole thumbnails can be dragged onto another thumbnail to reorder
+        // workspaces. Connected before our own press handler so the
+        // draggable sees the press first; it never stops it.
+        this._draggable = DND.makeDraggable(this, { restoreOnSuccess: false });
+
         this._wsChangedId = WorkspaceManager.connect('workspace-switched', () => {
             this._actionMenu.close();
         });
+        this._appearanceChangedId = settings.connect('changed::workspace-appearance',
+            () => this._applyAppearance());
+        this._namesChangedId = WorkspaceNames.connectChanged(() => this._applyAppearance());
 
+        // Window actions apply to every window listed here; the preview is
+        // the overlay's grid of them.
         this.connect('button-press-event', (actor, event) => {
-            const button = event.get_button();
-            if (button === Clutter.BUTTON_PRIMARY)
-                this._workspace.activate(0);
-            if (button === Clutter.BUTTON_SECONDARY)
-                this._actionMenu.open();
+            const windows = [...this._orderStore.order];
+            runClickAction(settings, event, {
+                windows,
+                overlayWindows: windows,
+                activate: () => this.activateWorkspace(),
+                openMenu: () => this.openMenu(),
+                showPreview: () => new WindowSearchOverlay(windows, settings, { grid: true }),
+            });
             return Clutter.EVENT_STOP;
         });
     }
 
+    activateWorkspace() {
+        this._workspace.activate(global.get_current_time());
+    }
+
+    openMenu() {
+        this._actionMenu.open();
+    }
+
+    // The buttons inside the thumbnail, in display order, for keyboard
+    // navigation (see IndicatorKeyboardNavigator).
+    get focusableIcons() {
+        return this._windowsBox.get_children()
+            .filter(child => child instanceof St.Button && child.visible);
+    }
+
+    scrollToIcon(icon) {
+        if (icon.get_parent() === this._windowsBox)
+            ensureActorVisibleInScrollView(this._scrollView, icon);
+    }
+
     get workspace() {
         return this._workspace;
     }
@@ -69,22 +121,69 @@ export class WorkspaceThumbnail extends St.Button {
         return this._workspace.index();
     }
 
-    moveWindowHere(window, insertIndex = null) {
-        const wasSameWorkspace = window.get_workspace() === this._workspace;
+    get orderStore() {
+        return this._orderStore;
+    }
+
+    setActive(active) {
+        if (active)
+            this.add_style_class_name('active');
+        else
+            this.remove_style_class_name('active');
+        this._applyAppearance();
+    }
+
+    // The accent color replaces the stylesheet's background and border;
+    // inline style wins over the .active rule, so the active tint is
+    // computed here too.
+    _applyAppearance() {
+        // In a vertical indicator thumbnails stack, so the minimum applies
+        // along the other axis.
+        const minSize = this._vertical ? 'min-height' : 'min-width';
+        let style = `${minSize}: ${this._settings.get_int('thumbnail-min-width')}px;`;
+        const index = this._workspace.index();
+        const { color, icon } = getWorkspaceAppearance(this._settings, WorkspaceNames.get(index));
+        // Appearances are keyed by name; an unnamed workspace's default
+        // name is positional and would leave its look behind on reorder.
+        if (color || icon)
+            WorkspaceNames.pin(index);
+        const background = hexToRgba(color, this.has_style_class_name('active') ? 0.6 : 0.3);
+        if (background)
+            style += ` background-color: ${background}; box-shadow: inset 0 0 4px 2px ${color};`;
+        this.set_style(style);
+    }
+
+    get monitorIndex() {
+        return this._monitorIndex;
+    }
+
+    // Moves `window` to this thumbnail's workspace and monitor (or only
+    // the workspace with `keepMonitor`). A window arriving from another
+    // monitor counts as new to this thumbnail even on the same workspace,
+    // since it wasn't listed here.
+    moveWindowHere(window, insertIndex = null, { keepMonitor = false } = {}) {
+        const monitorIndex = keepMonitor
+            ? window.get_monitor()
+            : this._monitorIndex ?? Main.layoutManager.findIndexForActor(this);
+        const alreadyListed = window.get_workspace() === this._workspace &&
+            (this._monitorIndex === null || window.get_monitor() === monitorIndex);
 
-        const monitorIndex = Main.layoutManager.findIndexForActor(this);
         if (monitorIndex !== window.get_monitor())
             window.move_to_monitor(monitorIndex);
 
-        if (insertIndex !== null && !wasSameWorkspace)
+        if (insertIndex !== null && !alreadyListed)
             this._orderStore.setPendingInsertIndex(window, insertIndex);
 
         window.change_workspace(this._workspace);
 
-        if (insertIndex !== null && wasSameWorkspace)
+        if (insertIndex !== null && alreadyListed)
             this._orderStore.reorderWindowToIndex(window, insertIndex);
     }
 
+    placeWindow(window, index) {
+        this._orderStore.placeWindow(window, index);
+    }
+
     syncChildOrder() {
         this._displayMode.syncChildOrder();
     }
@@ -93,7 +192,24 @@ export class WorkspaceThumbnail extends St.Button {
         this._orderStore.cleanupSources();
     }
 
+    // Dragged in place of the thumbnail itself, which must stay in the box.
+    getDragActor() {
+        return new Clutter.Clone({
+            source: this,
+            width: this.width,
+            height: this.height,
+            opacity: 200,
+        });
+    }
+
+    getDragActorSource() {
+        return this;
+    }
+
     handleDragOver(source, actor, x, y, time) {
+        if (source instanceof WorkspaceThumbnail)
+            return source === this ? DND.DragMotionResult.NO_DROP : DND.DragMotionResult.MOVE_DROP;
+
         const draggedWindow = getDraggedWindow(source);
         if (!draggedWindow)
             return DND.DragMotionResult.CONTINUE;
@@ -101,36 +217,47 @@ export class WorkspaceThumbnail extends St.Button {
         if (this._displayMode.mode !== 'direct')
             return DND.DragMotionResult.MOVE_DROP;
 
-        const [pointerX] = global.get_pointer();
         const insertion = WindowReorderDragController.computeInsertionFromPointer(
-            draggedWindow, this._orderStore.order, pointerX, this._windowsBox);
+            draggedWindow, this._orderStore.order, global.get_pointer(), this._windowsBox);
         WindowReorderDragController.updatePlaceholder(this._windowsBox, insertion.insertIndex);
 
         return DND.DragMotionResult.MOVE_DROP;
     }
 
     acceptDrop(source, actor, x, y, time) {
-        const draggedWindow = getDraggedWindow(source);
-        if (!draggedWindow)
+        if (source instanceof WorkspaceThumbnail) {
+            if (source === this)
+                return false;
+            WorkspaceOperations.move(source.workspace, this.workspaceIndex);
+            return true;
+        }
+
+        const draggedWindows = getDraggedWindows(source);
+        if (draggedWindows.length === 0)
             return false;
 
         const last = WindowReorderDragController.getLastInsertion();
         const insertIndex = last && last.box === this._windowsBox ? last.index : null;
-        this.moveWindowHere(draggedWindow, insertIndex);
+        draggedWindows.forEach((window, i) => {
+            this.moveWindowHere(window, insertIndex === null ? null : insertIndex + i);
+        });
         WindowReorderDragController.clearPlaceholder();
         return true;
     }
 
-    handleWindowDragOver(draggedWindow, targetPreview, x, y, time) {
+    // `source` is the WindowIconButton (or WindowGroupButton) being dragged
+    // over `targetPreview`, one of this thumbnail's icons.
+    handleWindowDragOver(source, targetPreview, x, y, time) {
+        const draggedWindow = getDraggedWindow(source);
         if (!draggedWindow || targetPreview?.window === draggedWindow)
             return DND.DragMotionResult.MOVE_DROP;
-        return this.handleDragOver({ _window: draggedWindow }, null, x, y, time);
+        return this.handleDragOver(source, null, x, y, time);
     }
 
-    acceptWindowDrop(draggedWindow, targetPreview, x, y, time) {
-        if (!draggedWindow)
+    acceptWindowDrop(source, targetPreview, x, y, time) {
+        if (!getDraggedWindow(source))
             return false;
-        return this.acceptDrop({ _window: draggedWindow }, null, x, y, time);
+        return this.acceptDrop(source, null, x, y, time);
     }
 
     destroy() {
@@ -138,6 +265,14 @@ export class WorkspaceThumbnail extends St.Button {
             WorkspaceManager.disconnect(this._wsChangedId);
             this._wsChangedId = null;
         }
+        if (this._appearanceChangedId) {
+            this._settings.disconnect(this._appearanceChangedId);
+            this._appearanceChangedId = null;
+        }
+        if (this._namesChangedId) {
+            WorkspaceNames.disconnect(this._namesChangedId);
+            this._namesChangedId = null;
+        }
         this._actionMenu.destroy();
         WindowReorderDragController.clearIfRelated(this._windowsBox);
         WorkspaceThumbnailRegistry.unregister(this);
@@ -13,4 +13,7 @@ export const WorkspaceThumbnailRegistry = {
     getAll() {
         return [...this._thumbnails];
     },
+    getForWorkspace(workspace) {
+        return this.getAll().filter(thumb => thumb.workspace === workspace);
+    },
 };
\ No newline at end of file
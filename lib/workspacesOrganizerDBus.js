@@ -0,0 +1,209 @@
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import { Display, WindowTracker, WorkspaceManager } from './shellGlobals.js';
+import { WorkspaceThumbnailRegistry } from './workspaceThumbnailRegistry.js';
+import { WindowOrderEvents } from './windowOrderStore.js';
+import { WorkspaceNames } from './workspaceNames.js';
+import { renameWorkspaceAppearance } from './workspaceAppearance.js';
+import { journal } from '../utils.js';
+
+const BUS_NAME = 'org.gnome.Shell.Extensions.WorkspacesOrganizer';
+const OBJECT_PATH = '/org/gnome/Shell/Extensions/WorkspacesOrganizer';
+
+// Windows are identified by Meta.Window.get_id(). Monitor -1 means the
+// order covers every monitor (one indicator for all of them).
+const INTERFACE_XML = `
+<node>
+  <interface name="${BUS_NAME}">
+    <method name="ListWorkspaces">
+      <arg type="a(isb)" direction="out" name="workspaces"/>
+    </method>
+    <method name="ListWindows">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="a(tssi)" direction="out" name="windows"/>
+    </method>
+    <method name="MoveWindow">
+      <arg type="t" direction="in" name="window"/>
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="i" direction="in" name="index"/>
+      <arg type="b" direction="out" name="moved"/>
+    </method>
+    <method name="ReorderWindow">
+      <arg type="t" direction="in" name="window"/>
+      <arg type="i" direction="in" name="index"/>
+      <arg type="b" direction="out" name="reordered"/>
+    </method>
+    <method name="RenameWorkspace">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="s" direction="in" name="name"/>
+      <arg type="b" direction="out" name="renamed"/>
+    </method>
+    <method name="ActivateWindow">
+      <arg type="t" direction="in" name="window"/>
+      <arg type="b" direction="out" name="activated"/>
+    </method>
+    <method name="OpenSearch">
+      <arg type="s" direction="in" name="query"/>
+    </method>
+    <signal name="OrderChanged">
+      <arg type="i" name="workspace"/>
+      <arg type="i" name="monitor"/>
+      <arg type="at" name="windows"/>
+    </signal>
+    <signal name="WorkspaceSwitched">
+      <arg type="i" name="from"/>
+      <arg type="i" name="to"/>
+    </signal>
+  </interface>
+</node>`;
+
+function findWindow(id) {
+    return Display.list_all_windows().find(window => window.get_id() === id) ?? null;
+}
+
+// ==================== WORKSPACES ORGANIZER D-BUS SERVICE ====================
+// Session-bus service for scripts and tests: lists workspaces and their
+// windows in icon order (as each WindowOrderStore has it), moves,
+// reorders and activates windows, renames workspaces and opens the
+// window switcher; emits OrderChanged and WorkspaceSwitched. Moves go
+// through the thumbnails like drags do, so the icon order follows.
+// Created only while `dbus-service-enabled` is on (see extension.js).
+// Try it with:
+//   gdbus call --session --dest org.gnome.Shell.Extensions.WorkspacesOrganizer \
+//     --object-path /org/gnome/Shell/Extensions/WorkspacesOrganizer \
+//     --method org.gnome.Shell.Extensions.WorkspacesOrganizer.ListWorkspaces
+export class WorkspacesOrganizerDBus {
+    constructor(settings, windowSwitcher) {
+        this._settings = settings;
+        this._windowSwitcher = windowSwitcher;
+
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._dbusImpl.export(Gio.DBus.session, OBJECT_PATH);
+        this._nameId = Gio.bus_own_name_on_connection(Gio.DBus.session, BUS_NAME,
+            Gio.BusNameOwnerFlags.NONE, null,
+            () => journal(`[WorkspacesOrganizerDBus] Lost the bus name ${BUS_NAME}`, true));
+
+        this._orderChangedCallback = WindowOrderEvents.connect(store => {
+            const index = store.workspace.index();
+            if (index < 0)
+                return;
+            this._dbusImpl.emit_signal('OrderChanged', new GLib.Variant('(iiat)', [
+                index, store.monitorIndex ?? -1, store.order.map(w => w.get_id()),
+            ]));
+        });
+        this._workspaceSwitchedId = WorkspaceManager.connect('workspace-switched', (manager, from, to) => {
+            this._dbusImpl.emit_signal('WorkspaceSwitched', new GLib.Variant('(ii)', [from, to]));
+        });
+    }
+
+    // ---- D-Bus methods ----
+    ListWorkspaces() {
+        const active = WorkspaceManager.get_active_workspace_index();
+        const workspaces = [];
+        for (let i = 0; i < WorkspaceManager.n_workspaces; i++)
+            workspaces.push([i, WorkspaceNames.get(i), i === active]);
+        return workspaces;
+    }
+
+    // Each monitor's order in turn when there is one indicator per
+    // monitor.
+    ListWindows(index) {
+        const workspace = WorkspaceManager.get_workspace_by_index(index);
+        if (!workspace)
+            return [];
+        const thumbnails = this._thumbnailsFor(workspace);
+        const seen = new Set();
+        const windows = [];
+        for (const thumbnail of thumbnails) {
+            for (const window of thumbnail.orderStore.order) {
+                if (seen.has(window))
+                    continue;
+                seen.add(window);
+                windows.push([
+                    window.get_id(),
+                    window.get_title() ?? '',
+                    WindowTracker.get_window_app(window)?.get_id() ?? '',
+                    thumbnail.monitorIndex ?? -1,
+                ]);
+            }
+        }
+        return windows;
+    }
+
+    // `index` -1 appends.
+    MoveWindow(id, workspaceIndex, index) {
+        const window = findWindow(id);
+        const workspace = WorkspaceManager.get_workspace_by_index(workspaceIndex);
+        if (!window || !workspace)
+            return false;
+        journal(`[WorkspacesOrganizerDBus] Moving ${window.title} to workspace ${workspaceIndex} at ${index}`);
+        const thumbnail = this._thumbnailFor(workspace, window);
+        if (thumbnail)
+            thumbnail.moveWindowHere(window, index < 0 ? Number.MAX_SAFE_INTEGER : index, { keepMonitor: true });
+        else
+            window.change_workspace(workspace);
+        return true;
+    }
+
+    ReorderWindow(id, index) {
+        const window = findWindow(id);
+        const workspace = window?.get_workspace();
+        if (!workspace)
+            return false;
+        const thumbnail = this._thumbnailFor(workspace, window);
+        if (!thumbnail?.orderStore.order.includes(window))
+            return false;
+        thumbnail.orderStore.reorderWindowToIndex(window, Math.max(0, index));
+        return true;
+    }
+
+    RenameWorkspace(index, name) {
+        if (!WorkspaceManager.get_workspace_by_index(index))
+            return false;
+        const oldName = WorkspaceNames.get(index);
+        WorkspaceNames.set(index, name);
+        renameWorkspaceAppearance(this._settings, oldName, WorkspaceNames.get(index));
+        return true;
+    }
+
+    ActivateWindow(id) {
+        const window = findWindow(id);
+        if (!window)
+            return false;
+        if (window.minimized)
+            window.unminimize();
+        const workspace = window.get_workspace() ?? WorkspaceManager.get_active_workspace();
+        workspace.activate_with_focus(window, global.get_current_time());
+        return true;
+    }
+
+    OpenSearch(query) {
+        this._windowSwitcher.open(query);
+    }
+
+    // ---- internal ----
+    _thumbnailsFor(workspace) {
+        return WorkspaceThumbnailRegistry.getForWorkspace(workspace)
+            .sort((a, b) => (a.monitorIndex ?? -1) - (b.monitorIndex ?? -1));
+    }
+
+    // The thumbnail that lists (or would list) `window`.
+    _thumbnailFor(workspace, window) {
+        return this._thumbnailsFor(workspace)
+            .find(t => t.monitorIndex === null || t.monitorIndex === window.get_monitor()) ?? null;
+    }
+
+    destroy() {
+        WindowOrderEvents.disconnect(this._orderChangedCallback);
+        if (this._workspaceSwitchedId) {
+            WorkspaceManager.disconnect(this._workspaceSwitchedId);
+            this._workspaceSwitchedId = null;
+        }
+        if (this._nameId) {
+            Gio.bus_unown_name(this._nameId);
+            this._nameId = null;
+        }
+        this._dbusImpl.unexport();
+        this._dbusImpl = null;
+    }
+}
\ No newline at end of file
@@ -2,6 +2,9 @@ import Gio from 'gi://Gio';
 import Adw from 'gi://Adw';
 import Gtk from 'gi://Gtk';
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import { PlacementRulesPage } from './prefs/placementRulesPage.js';
+import { WorkspaceAppearancePage } from './prefs/workspaceAppearancePage.js';
+import { ClickActionsPage } from './prefs/clickActionsPage.js';
 
 export default class WorkspacesOrganizerPreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
@@ -23,9 +26,109 @@ export default class WorkspacesOrganizerPreferences extends ExtensionPreferences
             { key: 'collection-result-font-size', label: 'Collection result items', min: 8, max: 48, step: 1 },
             { key: 'clone-title-font-size', label: 'Clone preview title', min: 10, max: 80, step: 1 },
             { key: 'hover-preview-height', label: 'Hover preview height', min: 200, max: 1200, step: 10 },
-            { key: 'close-button-size', label: 'Close button size', min: 16, max: 64, step: 2 }
+            { key: 'close-button-size', label: 'Close button size', min: 16, max: 64, step: 2 },
+            { key: 'overflow-max-windows', label: 'Icons before overflow (0 = fit the panel)', min: 0, max: 50, step: 1 }
         ];
 
+        const switchKeys = [
+            {
+                key: 'indicator-per-monitor',
+                label: 'One indicator per monitor',
+                subtitle: 'Each lists only the windows on its own monitor',
+            },
+            {
+                key: 'scroll-switch-wraparound',
+                label: 'Wrap around when scrolling',
+                subtitle: 'Scrolling past the last workspace goes back to the first',
+            },
+            {
+                key: 'scroll-switch-invert',
+                label: 'Invert scroll direction',
+            },
+            {
+                key: 'scroll-switch-smooth-accumulate',
+                label: 'One step per touchpad swipe',
+                subtitle: 'Switch once per scroll gesture instead of once per scroll event',
+            },
+        ];
+
+        const comboKeys = [
+            {
+                key: 'thumbnail-display-mode',
+                label: 'Windows in thumbnails',
+                choices: [
+                    ['icons', 'One icon per window'],
+                    ['grouped', 'Group windows of the same application'],
+                    ['minimap', 'Mini-map of the real window layout'],
+                ],
+            },
+            {
+                key: 'indicator-orientation',
+                label: 'Indicator orientation',
+                choices: [
+                    ['auto', 'Follow the panel'],
+                    ['horizontal', 'Horizontal'],
+                    ['vertical', 'Vertical (side panels)'],
+                ],
+            },
+            {
+                key: 'overflow-mode',
+                label: 'When a workspace has too many windows',
+                choices: [
+                    ['collapse', 'Collapse into one "N windows" button'],
+                    ['hybrid', 'Show the first icons and a "+K" button'],
+                    ['scroll', 'Scroll the icons with the mouse wheel'],
+                ],
+            },
+            {
+                key: 'preview-swap-modifier',
+                label: 'Hold to show the title instead of the preview',
+                choices: [
+                    ['ctrl', 'Ctrl'],
+                    ['alt', 'Alt'],
+                    ['shift', 'Shift'],
+                    ['super', 'Super'],
+                    ['none', 'Nothing (always show the preview)'],
+                ],
+            },
+        ];
+
+        const shortcutKeys = [
+            { key: 'window-switcher-keybinding', label: 'Search windows on all workspaces' },
+            { key: 'indicator-focus-keybinding', label: 'Navigate the indicator with the keyboard' },
+        ];
+
+        const moveTargets = [
+            ...Array.from({ length: 10 }, (_, i) => [`move-window-to-workspace-${i + 1}`, `workspace ${i + 1}`]),
+            ['move-window-to-next-workspace', 'the next workspace'],
+            ['move-window-to-previous-workspace', 'the previous workspace'],
+            ['move-window-to-new-workspace', 'a new workspace'],
+        ];
+        const moveShortcutKeys = moveTargets.flatMap(([key, target]) => [
+            { key, label: `Move to ${target}` },
+            { key: `${key}-follow`, label: `Move to ${target} and follow` },
+        ]);
+        const movePositionKey = {
+            key: 'moved-window-position',
+            label: 'Moved window lands',
+            choices: [
+                ['end', 'At the end of the icons'],
+                ['start', 'At the start of the icons'],
+            ],
+        };
+
+        // Group: Display
+        const displayGroup = new Adw.PreferencesGroup({
+            title: 'Display',
+            description: 'How windows are shown inside workspace thumbnails',
+        });
+        page.add(displayGroup);
+        for (const def of comboKeys)
+            this._addComboRow(displayGroup, def, settings);
+        for (const def of switchKeys)
+            this._addSwitchRow(displayGroup, def, settings);
+        this._addSpinRow(displayGroup, allKeys.find(k => k.key === 'overflow-max-windows'), settings);
+
         // Group: Icon Sizes (now just one row)
         const iconGroup = new Adw.PreferencesGroup({
             title: 'Icon Sizes',
@@ -58,6 +161,38 @@ export default class WorkspacesOrganizerPreferences extends ExtensionPreferences
             this._addSpinRow(layoutGroup, def, settings);
         });
 
+        // Group: Keyboard shortcuts
+        const shortcutGroup = new Adw.PreferencesGroup({
+            title: 'Keyboard Shortcuts',
+            description: 'Accelerators such as <Super>w; separate several with spaces, leave empty to disable',
+        });
+        page.add(shortcutGroup);
+        for (const def of shortcutKeys)
+            this._addShortcutRow(shortcutGroup, def, settings);
+
+        // Group: Moving the focused window
+        const moveGroup = new Adw.PreferencesGroup({
+            title: 'Move Focused Window',
+            description: 'Shortcuts that send the focused window to another workspace, with or without switching there',
+        });
+        page.add(moveGroup);
+        this._addComboRow(moveGroup, movePositionKey, settings);
+        for (const def of moveShortcutKeys)
+            this._addShortcutRow(moveGroup, def, settings);
+
+        // Group: Scripting
+        const dbusServiceKey = {
+            key: 'dbus-service-enabled',
+            label: 'D-Bus interface',
+            subtitle: 'Lets any program in your session list, move and activate windows and rename workspaces',
+        };
+        const scriptingGroup = new Adw.PreferencesGroup({
+            title: 'Scripting',
+            description: 'Control the workspaces from scripts over the session bus',
+        });
+        page.add(scriptingGroup);
+        this._addSwitchRow(scriptingGroup, dbusServiceKey, settings);
+
         // Group: Reset and notes
         const miscGroup = new Adw.PreferencesGroup();
         page.add(miscGroup);
@@ -69,9 +204,10 @@ export default class WorkspacesOrganizerPreferences extends ExtensionPreferences
             css_classes: ['destructive-action'],
         });
         resetBtn.connect('clicked', () => {
-            for (const { key } of allKeys) {
+            for (const { key } of [...allKeys, ...comboKeys, ...switchKeys, ...shortcutKeys, ...moveShortcutKeys, movePositionKey, dbusServiceKey]) {
                 settings.reset(key);
             }
+            settings.reset('click-actions');
             // Window stays open – spin buttons update automatically
         });
         resetRow.add_suffix(resetBtn);
@@ -83,6 +219,10 @@ export default class WorkspacesOrganizerPreferences extends ExtensionPreferences
             subtitle: 'You may need to reload GNOME Shell (Alt+F2, r) for some changes.',
         });
         miscGroup.add(note);
+
+        window.add(new ClickActionsPage(settings));
+        window.add(new WorkspaceAppearancePage(settings));
+        window.add(new PlacementRulesPage(settings));
     }
 
     _addSpinRow(group, { key, label, min, max, step }, settings) {
@@ -93,4 +233,53 @@ export default class WorkspacesOrganizerPreferences extends ExtensionPreferences
         row.set_activatable_widget(spin);
         group.add(row);
     }
+
+    _addSwitchRow(group, { key, label, subtitle }, settings) {
+        const row = new Adw.SwitchRow({ title: label, subtitle: subtitle ?? '' });
+        settings.bind(key, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(row);
+    }
+
+    _addShortcutRow(group, { key, label }, settings) {
+        const row = new Adw.EntryRow({
+            title: label,
+            text: settings.get_strv(key).join(' '),
+            show_apply_button: true,
+        });
+        row.connect('apply', () => {
+            const accelerators = row.get_text().split(/\s+/).filter(a => a);
+            const valid = accelerators.every(a => Gtk.accelerator_parse(a)[0]);
+            if (valid) {
+                row.remove_css_class('error');
+                settings.set_strv(key, accelerators);
+            } else {
+                row.add_css_class('error');
+            }
+        });
+        const changedId = settings.connect(`changed::${key}`, () => {
+            row.set_text(settings.get_strv(key).join(' '));
+        });
+        row.connect('destroy', () => settings.disconnect(changedId));
+        group.add(row);
+    }
+
+    _addComboRow(group, { key, label, choices }, settings) {
+        const row = new Adw.ComboRow({
+            title: label,
+            model: Gtk.StringList.new(choices.map(([, choiceLabel]) => choiceLabel)),
+        });
+        const syncFromSettings = () => {
+            const index = choices.findIndex(([value]) => value === settings.get_string(key));
+            row.set_selected(Math.max(0, index));
+        };
+        syncFromSettings();
+        row.connect('notify::selected', () => {
+            const [value] = choices[row.get_selected()];
+            if (settings.get_string(key) !== value)
+                settings.set_string(key, value);
+        });
+        const changedId = settings.connect(`changed::${key}`, syncFromSettings);
+        row.connect('destroy', () => settings.disconnect(changedId));
+        group.add(row);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,77 @@
+import Adw from 'gi://Adw';
+import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
+import {
+    CLICK_ACTIONS, CLICK_BUTTONS, CLICK_MODIFIERS, getClickAction, setClickAction,
+} from '../lib/clickActions.js';
+
+// ==================== CLICK ACTIONS PAGE ====================
+// Prefs page for `click-actions` (see lib/clickActions.js): one group
+// per mouse button, one row per modifier, each choosing what that click
+// does on window icons and workspace thumbnails.
+export class ClickActionsPage extends Adw.PreferencesPage {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor(settings) {
+        super({
+            title: 'Clicks',
+            icon_name: 'input-mouse-symbolic',
+        });
+        this._settings = settings;
+        this._rows = [];
+
+        for (const [button, buttonLabel] of CLICK_BUTTONS) {
+            const group = new Adw.PreferencesGroup({ title: buttonLabel });
+            for (const [modifier, modifierLabel] of CLICK_MODIFIERS)
+                group.add(this._buildRow(button, modifier, modifierLabel));
+            this.add(group);
+        }
+
+        const noteGroup = new Adw.PreferencesGroup({
+            description: 'On a window icon an action applies to its window, or to every window ' +
+                'of a grouped icon. On a workspace thumbnail it applies to every window listed ' +
+                'in it; there Activate switches to the workspace and the preview is the ' +
+                'overlay\'s grid view.',
+        });
+        const resetRow = new Adw.ActionRow({ title: 'Restore the default clicks' });
+        const resetButton = new Gtk.Button({
+            label: 'Reset',
+            valign: Gtk.Align.CENTER,
+        });
+        resetButton.connect('clicked', () => settings.reset('click-actions'));
+        resetRow.add_suffix(resetButton);
+        resetRow.set_activatable_widget(resetButton);
+        noteGroup.add(resetRow);
+        this.add(noteGroup);
+
+        const changedId = settings.connect('changed::click-actions', () => this._sync());
+        this.connect('destroy', () => settings.disconnect(changedId));
+    }
+
+    _buildRow(button, modifier, label) {
+        const row = new Adw.ComboRow({
+            title: label,
+            model: Gtk.StringList.new(CLICK_ACTIONS.map(([, actionLabel]) => actionLabel)),
+        });
+        const entry = { row, button, modifier };
+        this._rows.push(entry);
+        this._syncRow(entry);
+        row.connect('notify::selected', () => {
+            const [action] = CLICK_ACTIONS[row.get_selected()];
+            if (getClickAction(this._settings, button, modifier) !== action)
+                setClickAction(this._settings, button, modifier, action);
+        });
+        return row;
+    }
+
+    _syncRow({ row, button, modifier }) {
+        const action = getClickAction(this._settings, button, modifier);
+        row.set_selected(Math.max(0, CLICK_ACTIONS.findIndex(([value]) => value === action)));
+    }
+
+    _sync() {
+        this._rows.forEach(entry => this._syncRow(entry));
+    }
+}
\ No newline at end of file
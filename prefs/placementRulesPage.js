@@ -0,0 +1,206 @@
+import Adw from 'gi://Adw';
+import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
+import {
+    RULE_DEFAULTS, WINDOW_TYPE_CHOICES, readPlacementRules, writePlacementRules,
+} from '../lib/placementRuleFormat.js';
+
+// One-line summary shown under a collapsed rule.
+function describeRule(rule) {
+    const criteria = [];
+    if (rule['wm-class'])
+        criteria.push(`wm_class ${rule['wm-class']}`);
+    if (rule['app-id'])
+        criteria.push(`app ${rule['app-id']}`);
+    if (rule.title)
+        criteria.push(`title /${rule.title}/`);
+    if (rule['window-type'] !== 'any')
+        criteria.push(rule['window-type']);
+
+    const actions = [];
+    if (rule.workspace)
+        actions.push(`workspace ${rule.workspace}`);
+    if (rule.monitor >= 0)
+        actions.push(`monitor ${rule.monitor}`);
+    if (rule.position)
+        actions.push(`position ${rule.position}`);
+    if (rule.minimize)
+        actions.push('minimize');
+    if (rule.sticky)
+        actions.push('sticky');
+
+    return `${criteria.join(', ') || 'every window'} → ${actions.join(', ') || 'nothing'}`;
+}
+
+// ==================== PLACEMENT RULES PAGE ====================
+// Prefs page listing the window placement rules (see
+// lib/windowPlacementRules.js). Every edit is written back to GSettings
+// immediately; the shell side picks it up live.
+export class PlacementRulesPage extends Adw.PreferencesPage {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor(settings) {
+        super({
+            title: 'Rules',
+            icon_name: 'view-list-symbolic',
+        });
+        this._settings = settings;
+        this._rules = readPlacementRules(settings);
+        this._ruleRows = [];
+        this._saving = false;
+
+        this._group = new Adw.PreferencesGroup({
+            title: 'Window placement rules',
+            description: 'New windows matching a rule are moved and arranged as it says. ' +
+                'Empty fields are ignored; the first enabled matching rule wins.',
+        });
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: 'Add rule',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        addButton.connect('clicked', () => {
+            this._rules.push({ ...RULE_DEFAULTS, name: `Rule ${this._rules.length + 1}` });
+            this._save();
+            this._rebuild();
+        });
+        this._group.set_header_suffix(addButton);
+        this.add(this._group);
+
+        const changedId = settings.connect('changed::placement-rules', () => {
+            if (this._saving)
+                return;
+            this._rules = readPlacementRules(settings);
+            this._rebuild();
+        });
+        this.connect('destroy', () => settings.disconnect(changedId));
+
+        this._rebuild();
+    }
+
+    _save() {
+        this._saving = true;
+        writePlacementRules(this._settings, this._rules);
+        this._saving = false;
+    }
+
+    _rebuild() {
+        for (const row of this._ruleRows)
+            this._group.remove(row);
+        this._ruleRows = this._rules.map(rule => this._buildRuleRow(rule));
+        for (const row of this._ruleRows)
+            this._group.add(row);
+    }
+
+    _buildRuleRow(rule) {
+        const expander = new Adw.ExpanderRow({
+            title: rule.name || 'Unnamed rule',
+            subtitle: describeRule(rule),
+            use_markup: false,
+        });
+        const update = () => {
+            expander.set_title(rule.name || 'Unnamed rule');
+            expander.set_subtitle(describeRule(rule));
+            this._save();
+        };
+
+        const enabledSwitch = new Gtk.Switch({
+            active: rule.enabled,
+            valign: Gtk.Align.CENTER,
+        });
+        enabledSwitch.connect('notify::active', () => {
+            rule.enabled = enabledSwitch.active;
+            update();
+        });
+        expander.add_suffix(enabledSwitch);
+
+        // `validate` keeps text that doesn't parse yet (a half-typed
+        // regular expression) out of GSettings.
+        const addEntry = (field, title, validate = () => true) => {
+            const row = new Adw.EntryRow({ title, text: rule[field] });
+            row.connect('changed', () => {
+                const text = row.get_text();
+                if (!validate(text)) {
+                    row.add_css_class('error');
+                    return;
+                }
+                row.remove_css_class('error');
+                rule[field] = text;
+                update();
+            });
+            expander.add_row(row);
+        };
+        const addSwitch = (field, title) => {
+            const row = new Adw.SwitchRow({ title, active: rule[field] });
+            row.connect('notify::active', () => {
+                rule[field] = row.active;
+                update();
+            });
+            expander.add_row(row);
+        };
+
+        addEntry('name', 'Name');
+        addEntry('wm-class', 'Match wm_class');
+        addEntry('app-id', 'Match app id (e.g. org.gnome.Evince.desktop)');
+        addEntry('title', 'Match title (regular expression)', text => {
+            try {
+                new RegExp(text);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        });
+
+        const typeRow = new Adw.ComboRow({
+            title: 'Match window type',
+            model: Gtk.StringList.new(WINDOW_TYPE_CHOICES.map(([, label]) => label)),
+            selected: Math.max(0, WINDOW_TYPE_CHOICES.findIndex(([value]) => value === rule['window-type'])),
+        });
+        typeRow.connect('notify::selected', () => {
+            [rule['window-type']] = WINDOW_TYPE_CHOICES[typeRow.get_selected()];
+            update();
+        });
+        expander.add_row(typeRow);
+
+        addEntry('workspace', 'Move to workspace (number or name)');
+
+        const monitorRow = new Adw.SpinRow({
+            title: 'Move to monitor',
+            subtitle: '-1 keeps the window on its monitor',
+            adjustment: new Gtk.Adjustment({
+                lower: -1,
+                upper: 15,
+                step_increment: 1,
+                value: rule.monitor,
+            }),
+        });
+        monitorRow.connect('notify::value', () => {
+            rule.monitor = Math.round(monitorRow.get_value());
+            update();
+        });
+        expander.add_row(monitorRow);
+
+        addEntry('position', 'Icon position (start, end or number)');
+        addSwitch('minimize', 'Minimize');
+        addSwitch('sticky', 'Show on all workspaces');
+
+        const deleteRow = new Adw.ActionRow({ title: 'Delete this rule' });
+        const deleteButton = new Gtk.Button({
+            label: 'Delete',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+        });
+        deleteButton.connect('clicked', () => {
+            this._rules = this._rules.filter(r => r !== rule);
+            this._save();
+            this._rebuild();
+        });
+        deleteRow.add_suffix(deleteButton);
+        expander.add_row(deleteRow);
+
+        return expander;
+    }
+}
\ No newline at end of file
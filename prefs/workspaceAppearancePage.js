@@ -0,0 +1,148 @@
+import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
+import Gio from 'gi://Gio';
+import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
+import {
+    readWorkspaceAppearances, getWorkspaceAppearance, setWorkspaceAppearance,
+} from '../lib/workspaceAppearance.js';
+
+function rgbaToHex(rgba) {
+    const hex = value => Math.round(value * 255).toString(16).padStart(2, '0');
+    return `#${hex(rgba.red)}${hex(rgba.green)}${hex(rgba.blue)}`;
+}
+
+// ==================== WORKSPACE APPEARANCE PAGE ====================
+// Prefs page for the per-workspace accent colors and icons (see
+// lib/workspaceAppearance.js). Lists every named workspace plus any name
+// that already has an appearance; other names can be added by hand,
+// e.g. mutter's default "Workspace 3".
+export class WorkspaceAppearancePage extends Adw.PreferencesPage {
+    static {
+        GObject.registerClass(this);
+    }
+
+    constructor(settings) {
+        super({
+            title: 'Workspaces',
+            icon_name: 'view-grid-symbolic',
+        });
+        this._settings = settings;
+        this._wmSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.wm.preferences' });
+        this._extraNames = new Set();
+        this._rows = [];
+        this._saving = false;
+
+        this._group = new Adw.PreferencesGroup({
+            title: 'Workspace colors and icons',
+            description: 'Shown on the workspace thumbnail and beside the workspace name. ' +
+                'Stored by workspace name, so they follow a workspace when it moves.',
+        });
+        this.add(this._group);
+
+        const addGroup = new Adw.PreferencesGroup();
+        const addRow = new Adw.EntryRow({
+            title: 'Add a workspace by name',
+            show_apply_button: true,
+        });
+        addRow.connect('apply', () => {
+            const name = addRow.get_text().trim();
+            if (!name)
+                return;
+            this._extraNames.add(name);
+            addRow.set_text('');
+            this._rebuild();
+        });
+        addGroup.add(addRow);
+        this.add(addGroup);
+
+        const changedIds = [
+            settings.connect('changed::workspace-appearance', () => {
+                if (!this._saving)
+                    this._rebuild();
+            }),
+        ];
+        const namesChangedId = this._wmSettings.connect('changed::workspace-names',
+            () => this._rebuild());
+        this.connect('destroy', () => {
+            changedIds.forEach(id => settings.disconnect(id));
+            this._wmSettings.disconnect(namesChangedId);
+        });
+
+        this._rebuild();
+    }
+
+    _names() {
+        const names = new Set(this._wmSettings.get_strv('workspace-names').filter(Boolean));
+        for (const name of Object.keys(readWorkspaceAppearances(this._settings)))
+            names.add(name);
+        for (const name of this._extraNames)
+            names.add(name);
+        return [...names];
+    }
+
+    _save(name, changes) {
+        this._saving = true;
+        setWorkspaceAppearance(this._settings, name, changes);
+        this._saving = false;
+    }
+
+    _rebuild() {
+        for (const row of this._rows)
+            this._group.remove(row);
+        this._rows = this._names().map(name => this._buildRow(name));
+        for (const row of this._rows)
+            this._group.add(row);
+    }
+
+    _buildRow(name) {
+        const appearance = getWorkspaceAppearance(this._settings, name);
+        const expander = new Adw.ExpanderRow({
+            title: name,
+            subtitle: [appearance.icon, appearance.color].filter(Boolean).join('  ') || 'Default look',
+            use_markup: false,
+        });
+        const updateSubtitle = () => {
+            const { color, icon } = getWorkspaceAppearance(this._settings, name);
+            expander.set_subtitle([icon, color].filter(Boolean).join('  ') || 'Default look');
+        };
+
+        const colorRow = new Adw.ActionRow({ title: 'Accent color' });
+        const colorButton = new Gtk.ColorDialogButton({
+            dialog: new Gtk.ColorDialog({ with_alpha: false }),
+            valign: Gtk.Align.CENTER,
+        });
+        const rgba = new Gdk.RGBA();
+        if (appearance.color && rgba.parse(appearance.color))
+            colorButton.set_rgba(rgba);
+        colorButton.connect('notify::rgba', () => {
+            this._save(name, { color: rgbaToHex(colorButton.get_rgba()) });
+            updateSubtitle();
+        });
+        const clearButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: 'Use the default color',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        clearButton.connect('clicked', () => {
+            this._save(name, { color: '' });
+            updateSubtitle();
+        });
+        colorRow.add_suffix(colorButton);
+        colorRow.add_suffix(clearButton);
+        expander.add_row(colorRow);
+
+        const iconRow = new Adw.EntryRow({
+            title: 'Icon (symbolic icon name or emoji)',
+            text: appearance.icon,
+        });
+        iconRow.connect('changed', () => {
+            this._save(name, { icon: iconRow.get_text().trim() });
+            updateSubtitle();
+        });
+        expander.add_row(iconRow);
+
+        return expander;
+    }
+}
\ No newline at end of file